@@ -1,396 +1,2858 @@
 const _ = require('lodash');
 const Joi = require('joi');
+const {AsyncLocalStorage} = require('async_hooks');
+const EventEmitter = require('events');
+const {performance} = require('perf_hooks');
+const {ParameterBag} = require('./lib/parameters');
+const {Reference, ref} = require('./lib/reference');
+const loader = require('./lib/loader');
+const {toDot, toJson} = require('./lib/graph');
+const {createLazyProxy, isInitialized} = require('./lib/lazy');
+const {createInterceptedProxy} = require('./lib/interceptors');
+const {orderLabels} = require('./lib/labels');
+const {constructorParameters, SourceError} = require('./lib/autowiring');
+const {Profiler} = require('./lib/profiler');
+const {ServiceLocator} = require('./lib/locator');
+const {query: queryTags} = require('./lib/tags');
+const {dump, checkDump} = require('./lib/dumper');
+
+const RESOLUTION_EVENTS = ['beforeResolve', 'afterResolve', 'error'];
+
+const interceptorTargetSchema = Joi.object().keys({
+    id: Joi.string(),
+    tag: Joi.string(),
+    label: Joi.string(),
+    methods: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.object().type(RegExp))
+}).or('id', 'tag', 'label');
+
+const labelOptionsSchema = Joi.object().keys({
+    priority: Joi.number(),
+    before: Joi.array().items(Joi.string()).single(),
+    after: Joi.array().items(Joi.string()).single(),
+    replace: Joi.boolean()
+});
+const reportedErrors = new WeakSet();
 
 const normalizeTag = tag => {
     if (_.isString(tag)) {
         return {name: tag};
     }
 
-    if (_.isPlainObject(tag)) {
-        if (_.has(tag, 'name')) {
-            return tag;
+    if (_.isPlainObject(tag)) {
+        if (_.has(tag, 'name')) {
+            return tag;
+        }
+    }
+
+    throw new Error('Service tags can be strings or plain objects with mandatory "name" field.');
+};
+
+const ensureNotFrozen = (container, action) => {
+    if (container.isFrozen()) {
+        throw new Error(`Container is compiled and frozen. Can not ${action}.`);
+    }
+};
+
+/**
+ * @param {Pimple} container
+ * @return {Map<string, Definition>} definitions of the container and its parents, own ones override inherited
+ */
+const visibleDefinitions = container => {
+    const definitions = container._parent ? visibleDefinitions(container._parent) : new Map();
+    container._definitions.forEach((definition, serviceId) => definitions.set(serviceId, definition));
+    container._conditionals.forEach((branches, serviceId) => {
+        const branch = selectBranch(container, serviceId);
+
+        if (branch) {
+            definitions.set(serviceId, branch);
+        }
+    });
+    return definitions;
+};
+
+/**
+ * @param {Pimple} container
+ * @param {string} serviceId
+ * @return {Definition|undefined} the only conditional definition matching parameters of the container
+ */
+const selectBranch = (container, serviceId) => {
+    const matching = _.filter(container._conditionals.get(serviceId), definition => definition.matches(container));
+
+    if (matching.length > 1) {
+        throw new Error(
+            `Service "${serviceId}" has ambiguous conditional definitions: ${_.map(matching, definition => definition.condition).join('; ')}.`
+        );
+    }
+
+    return _.head(matching);
+};
+
+/**
+ * @param {Object|Function} condition parameter values keyed by names, arrays list allowed values, or a predicate
+ * of parameters
+ * @param {Pimple} container
+ * @return {boolean}
+ */
+const conditionMatches = (condition, container) => {
+    if (_.isFunction(condition)) {
+        return Boolean(condition(container._parameters.view()));
+    }
+
+    return _.every(condition, (expected, name) => {
+        if (!container.hasParameter(name)) {
+            return false;
+        }
+
+        const actual = container.getParameter(name);
+        return _.isArray(expected) ? _.some(expected, value => _.isEqual(value, actual)) : _.isEqual(actual, expected);
+    });
+};
+
+const describeCondition = condition => {
+    if (_.isFunction(condition)) {
+        return condition.name || String(condition);
+    }
+
+    return _.map(condition, (expected, name) => `${name}=${JSON.stringify(expected)}`).join(', ');
+};
+
+/**
+ * @param {Pimple} container
+ * @return {Map<string, string>} aliases of the container and its parents
+ */
+const visibleAliases = container => {
+    const aliases = container._parent ? visibleAliases(container._parent) : new Map();
+    container._aliases.forEach((targetId, aliasId) => aliases.set(aliasId, targetId));
+    return aliases;
+};
+
+/**
+ * @param {Pimple} container
+ * @return {Array<string>} names of tags used in the container and its parents
+ */
+const tagNames = container => _.union(
+    container._parent ? tagNames(container._parent) : [],
+    Array.from(container._tags.keys()),
+    _.flatMap(Array.from(container._conditionals.values()), branches => _.flatMap(branches, branch => _.map(branch.branchTags, 'name')))
+);
+
+/**
+ * Adds tags of the conditional definitions chosen by parameters of the container to the tagged services
+ * @param {Pimple} container
+ * @param {string} tagName
+ * @param {Map<string, Array>} tagged tags set for the service ids
+ * @return {Map<string, Array>} the same map when no chosen branch has the tag
+ */
+const withBranchTags = (container, tagName, tagged) => {
+    let result = tagged;
+
+    container._conditionals.forEach((branches, serviceId) => {
+        const branch = selectBranch(container, serviceId);
+        const tags = branch ? _.filter(branch.branchTags, {name: tagName}) : [];
+
+        if (!_.isEmpty(tags)) {
+            result = result === tagged ? new Map(tagged) : result;
+            result.set(serviceId, [...(result.get(serviceId) || []), ...tags]);
+        }
+    });
+
+    return result;
+};
+
+/**
+ * @param {Pimple} container
+ * @param {string} serviceId
+ * @return {boolean} whether the service is defined in the container or its parents
+ */
+const isDefined = (container, serviceId) => {
+    if (container._aliases.has(serviceId)) {
+        return isDefined(container, container._aliases.get(serviceId));
+    }
+
+    if (container._definitions.has(serviceId)) {
+        return true;
+    }
+
+    if (_.some(container._conditionals.get(serviceId), definition => definition.matches(container))) {
+        return true;
+    }
+
+    return container._parent !== null && isDefined(container._parent, serviceId);
+};
+
+/**
+ * Scopes can not change definitions they inherit as the parent and the other scopes share them
+ * @param {Pimple} container
+ * @param {string} serviceId
+ * @param {string} action
+ * @return {Definition} definition of the service set in the container itself
+ */
+const ownDefinition = (container, serviceId, action) => {
+    const definition = container.getDefinition(serviceId);
+
+    if (definition.container !== container) {
+        throw new Error(
+            `Service "${serviceId}" is inherited from the parent container. Set it in the scope to ${action} it there.`
+        );
+    }
+
+    return definition;
+};
+
+/**
+ * Defines enumerable getter of the service on the container unless the id is reserved by container itself
+ * @param {Pimple} container
+ * @param {string} serviceId
+ */
+const defineAccessor = (container, serviceId) => {
+    if (container.isReserved(serviceId)) {
+        return;
+    }
+
+    // conditional services get the property as the branch is chosen only on resolution
+    const conditional = container._conditionals.has(serviceId);
+
+    if (!conditional && isDefined(container, serviceId) && container.getDefinition(serviceId).private) {
+        delete container[serviceId];
+    } else {
+        Object.defineProperty(container, serviceId, {
+            get: () => {
+                return container.get(serviceId);
+            },
+            configurable: true,
+            enumerable: true
+        });
+    }
+};
+
+/**
+ * Reads names of the constructor parameters from the class source falling back to the parent class
+ * @param {Function} cls
+ * @return {Array<string>}
+ */
+const parameterNames = cls => {
+    let parameters;
+
+    try {
+        parameters = constructorParameters(Function.prototype.toString.call(cls));
+    } catch (e) {
+        if (!(e instanceof SourceError)) {
+            throw e;
+        }
+
+        throw new Error(
+            `Constructor parameters of class ${cls.name} can not be read for autowiring (${e.message}). Use static inject property.`
+        );
+    }
+
+    if (parameters === undefined) {
+        const parent = Object.getPrototypeOf(cls);
+        return isClass(parent) ? parameterNames(parent) : [];
+    }
+
+    return _.compact(_.map(
+        parameters,
+        parameter => {
+            const name = _.trim(parameter.replace(/=[\s\S]*$/, ''));
+
+            if (name && !/^[\w$]+$/.test(name)) {
+                throw new Error(`Constructor parameter "${name}" of class ${cls.name} can not be autowired.`);
+            }
+
+            return name;
+        }
+    ));
+};
+
+/**
+ * @param {Map<string, Map<string, Array>>} tags
+ * @return {Map<string, Map<string, Array>>}
+ */
+const copyTags = tags => new Map(Array.from(tags, ([tagName, tagged]) => [
+    tagName,
+    new Map(Array.from(tagged, ([serviceId, serviceTags]) => [serviceId, [...serviceTags]]))
+]));
+
+/**
+ * @param {Map<string, Object>} decorations
+ * @return {Map<string, Object>}
+ */
+const copyDecorations = decorations => new Map(Array.from(decorations, ([serviceId, decoration]) => [
+    serviceId,
+    Object.assign({}, decoration, {decorators: [...decoration.decorators]})
+]));
+
+const collectReferences = (arg, references = []) => {
+    if (arg instanceof Reference) {
+        references.push(arg.id);
+    } else if (_.isArray(arg) || _.isPlainObject(arg)) {
+        _.forEach(arg, item => collectReferences(item, references));
+    }
+
+    return references;
+};
+
+/**
+ * Emits the event on the container and on all of its parents, so listeners of the root observe scopes as well
+ * @param {Pimple} container
+ * @param {string} event
+ * @param {Object} payload
+ */
+const emit = (container, event, payload) => {
+    for (let current = container; current; current = current._parent) {
+        if (current._events.listenerCount(event) > 0) {
+            current._events.emit(event, payload);
+        }
+    }
+};
+
+/**
+ * @param {Pimple} container
+ * @return {boolean} whether the container or any of its parents listens to the resolution events
+ */
+const isObserved = container => {
+    for (let current = container; current; current = current._parent) {
+        if (current._observers > 0) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Ids the service is requested by: its own one and those of the aliases resolving to it, so the outermost decorator
+ * is known by the id of the decorated service as well
+ * @param {Pimple} container
+ * @param {string} serviceId
+ * @return {Array<string>}
+ */
+const idsOf = (container, serviceId) => {
+    const ids = [serviceId];
+
+    for (let i = 0; i < ids.length; i++) {
+        for (let current = container; current; current = current._parent) {
+            current._aliases.forEach((targetId, aliasId) => {
+                if (targetId === ids[i] && !_.includes(ids, aliasId)) {
+                    ids.push(aliasId);
+                }
+            });
+        }
+    }
+
+    return ids;
+};
+
+const taggedIds = (container, tagName, options) => _.uniq(_.map(container.findTagged(tagName, options), 0));
+
+/**
+ * @param {*} value
+ * @param {{schema: Object, coerce: boolean}} validation
+ * @return {{value: *, problems: Array<string>}} value converted by the schema and descriptions of failures
+ */
+const validate = (value, {schema, coerce}) => {
+    const {error, value: converted} = Joi.validate(value, schema, {abortEarly: false, convert: coerce});
+    const problems = _.map(error ? error.details : [], ({path, message}) => {
+        return _.isEmpty(path) ? message : `${message} at "${path.join('.')}"`;
+    });
+
+    return {value: converted, problems};
+};
+
+/**
+ * Schemas set for the parameter in the container or its parents
+ * @param {Pimple} container
+ * @param {string} name
+ * @return {{schema: Object, coerce: boolean}|undefined}
+ */
+const parameterValidation = (container, name) => {
+    for (let current = container; current; current = current._parent) {
+        if (current._parameterSchemas.has(name)) {
+            return current._parameterSchemas.get(name);
+        }
+    }
+
+    return undefined;
+};
+
+/**
+ * Frames of the services being resolved which the current call belongs to: those of async resolutions
+ * followed by the synchronous ones running on the stack right now.
+ * Async frames are inherited by async continuations, but those of finished resolutions are not active anymore.
+ * @param {Pimple} container
+ * @return {Array<{definition: Definition, active: boolean}>}
+ */
+const activeFrames = container => {
+    const frames = container._resolving.getStore();
+    return frames ? [..._.filter(frames, 'active'), ...container._stack] : container._stack;
+};
+
+/**
+ * Private services are available while other service is resolved: during get() of the service or until
+ * the async creation of getAsync() settles, but not to callbacks the factory schedules for later
+ * @param {Pimple} container
+ * @param {string} serviceId
+ * @return {Definition} definition of the service unless it is private and requested outside of other service resolution
+ */
+const publicDefinition = (container, serviceId) => {
+    const definition = container.getDefinition(serviceId);
+
+    if (definition.private && _.isEmpty(activeFrames(container))) {
+        throw new Error(`Service "${serviceId}" is private. It can only be injected into other services.`);
+    }
+
+    return definition;
+};
+
+// objects which are not plain data are told apart by identity as their content can not be compared
+const identities = new WeakMap();
+const symbols = new Map();
+
+const identityOf = value => {
+    const known = _.isSymbol(value) ? symbols : identities;
+
+    if (!known.has(value)) {
+        known.set(value, _.uniqueId());
+    }
+
+    return known.get(value);
+};
+
+/**
+ * @param {*} value
+ * @param {Array} [ancestors] plain objects and arrays the value is nested in
+ * @return {*} plain data as is and references to other values in place of them
+ */
+const keyPart = (value, ancestors = []) => {
+    if (_.isString(value) || _.isNumber(value) || _.isBoolean(value) || value === null) {
+        return value;
+    }
+
+    if (value === undefined) {
+        return {undefined: true};
+    }
+
+    if ((_.isArray(value) || _.isPlainObject(value)) && !_.includes(ancestors, value)) {
+        const nested = [...ancestors, value];
+        return _.isArray(value)
+            ? _.map(value, item => keyPart(item, nested))
+            : {plain: _.mapValues(value, item => keyPart(item, nested))};
+    }
+
+    return {identity: identityOf(value)};
+};
+
+/**
+ * Plain data arguments are compared by content, others (class instances, maps, functions) by identity
+ * @param {Array} args
+ * @return {string}
+ */
+const defaultArgumentsKey = args => JSON.stringify(keyPart(args));
+
+/**
+ * Removes instances of the definition including ones created with runtime arguments from the container cache
+ * @param {Pimple} container
+ * @param {Definition} definition
+ */
+const forgetInstances = (container, definition) => {
+    _.forEach([definition, ...definition.variants.values()], key => {
+        container._instances.delete(key);
+        container._pending.delete(key);
+    });
+};
+
+// the source of functions is read once as the type of the service is checked on every resolution
+const classes = new WeakMap();
+
+const isClass = fn => {
+    if (!_.isFunction(fn)) {
+        return false;
+    }
+
+    if (!classes.has(fn)) {
+        classes.set(fn, /^class[\s{]/.test(Function.prototype.toString.call(fn)));
+    }
+
+    return classes.get(fn);
+};
+
+/**
+ * Marks a function to be treated explicitly as a protected value, a class or a factory by the definition
+ * @class DefinitionValue
+ */
+class DefinitionValue {
+
+    /**
+     * @param {Function} value
+     * @param {string} type one of "protected", "class" or "factory"
+     */
+    constructor(value, type) {
+        this.value = value;
+        this.type = type;
+    }
+}
+
+/**
+ * Thrown when a service (directly or through labels and tagged services) requires itself while being resolved
+ * @class CircularDependencyError
+ */
+class CircularDependencyError extends Error {
+
+    /**
+     * @param {Array<string>} path service ids of the cycle where the first and the last ones are the same
+     */
+    constructor(path) {
+        super(`Circular dependency detected: ${path.join(' -> ')}.`);
+        this.name = 'CircularDependencyError';
+        this.path = path;
+    }
+}
+
+/**
+ * Collects all the errors thrown by service disposers while container is disposed
+ * @class DisposalError
+ */
+class DisposalError extends Error {
+
+    /**
+     * @param {Array<Error>} errors
+     */
+    constructor(errors) {
+        super(`${errors.length} error(s) occurred while disposing services: ${_.map(errors, 'message').join('; ')}`);
+        this.name = 'DisposalError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Wraps an error thrown by label callback while the service is initialized
+ * @class LabelError
+ */
+class LabelError extends Error {
+
+    /**
+     * @param {string} serviceId
+     * @param {string} label
+     * @param {Error} cause
+     */
+    constructor(serviceId, label, cause) {
+        super(`Label "${label}" failed for service "${serviceId}": ${_.get(cause, 'message', cause)}`);
+        this.name = 'LabelError';
+        this.serviceId = serviceId;
+        this.label = label;
+        this.cause = cause;
+    }
+}
+
+/**
+ * @param {*} error thrown by label callback
+ * @param {string} serviceId
+ * @param {string} label
+ * @return {*} the error wrapped unless it already points at the problem
+ */
+const labelError = (error, serviceId, label) => {
+    if (error instanceof CircularDependencyError || error instanceof LabelError) {
+        return error;
+    }
+
+    return new LabelError(serviceId, label, error);
+};
+
+/**
+ * ES6 impl of Pimple dependency injection container inspired by pimple of M.PARAISO <mparaiso@online.fr>
+ * Emits beforeResolve, afterResolve, error, define and tag events, events of scopes reach their parents too.
+ * @class Pimple
+ */
+class Pimple {
+
+    /**
+     * Marks function to be instantiated with new, e.g. ES5 constructor function
+     * @param {Function} constructor
+     * @return {DefinitionValue}
+     */
+    static class(constructor) {
+        if (!_.isFunction(constructor)) {
+            throw new Error('Only functions can be instantiated as classes.');
+        }
+
+        return new DefinitionValue(constructor, 'class');
+    }
+
+    /**
+     * Marks function to be called as a factory even if it looks like a class
+     * @param {Function} factory
+     * @return {DefinitionValue}
+     */
+    static factory(factory) {
+        if (!_.isFunction(factory)) {
+            throw new Error('Only functions can be used as factories.');
+        }
+
+        return new DefinitionValue(factory, 'factory');
+    }
+
+    constructor(definitions, deepClone = true) {
+        this._deepClone = deepClone;
+        this._definitions = new Map();
+        this._labels = new Map();
+        this._labelOptions = new Map();
+        this._tags = new Map();
+        this._parameters = new ParameterBag();
+        this._resolving = new AsyncLocalStorage();
+        this._stack = [];
+        this._events = new EventEmitter();
+        this._observers = 0;
+        this._instances = new Map();
+        this._pending = new Map();
+        this._parent = null;
+        this._disposed = false;
+        this._passes = [];
+        this._frozen = false;
+        this._autowiring = false;
+        this._aliases = new Map();
+        this._decorations = new Map();
+        this._parameterSchemas = new Map();
+        this._validatedParameters = new Map();
+        this._conditionals = new Map();
+        this._conditions = [];
+        this._interceptors = [];
+        this._intercepting = true;
+        this._reserved = [];
+        this._reserved = _.keysIn(this);
+        // resolution is instrumented only while anybody listens, so the listeners are counted as they come and go
+        this._events.on('newListener', event => {
+            this._observers += _.includes(RESOLUTION_EVENTS, event) ? 1 : 0;
+        });
+        this._events.on('removeListener', event => {
+            this._observers -= _.includes(RESOLUTION_EVENTS, event) ? 1 : 0;
+        });
+        _.forOwn(definitions || {}, (definition, serviceId) => this.set(serviceId, definition))
+    }
+
+    /**
+     * Adds listener of beforeResolve, afterResolve, error, define or tag event
+     * @param {string} event
+     * @param {Function} listener
+     * @return {Pimple}
+     */
+    on(event, listener) {
+        this._events.on(event, listener);
+        return this;
+    }
+
+    /**
+     * Adds listener called on the next event only
+     * @param {string} event
+     * @param {Function} listener
+     * @return {Pimple}
+     */
+    once(event, listener) {
+        this._events.once(event, listener);
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} listener
+     * @return {Pimple}
+     */
+    off(event, listener) {
+        this._events.removeListener(event, listener);
+        return this;
+    }
+
+    /**
+     * @param {string} serviceId
+     * @param {...*} [runtimeArgs] passed to the factory or class after its resolved arguments
+     * @return {*}
+     */
+    get(serviceId, ...runtimeArgs) {
+        return publicDefinition(this, serviceId).resolve(this, ...runtimeArgs);
+    }
+
+    /**
+     * Resolves the service awaiting async factories, extenders and label callbacks
+     * @param {string} serviceId
+     * @param {...*} [runtimeArgs]
+     * @return {Promise<*>}
+     */
+    async getAsync(serviceId, ...runtimeArgs) {
+        return publicDefinition(this, serviceId).resolveAsync(this, ...runtimeArgs);
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {Function} creating the service with the given arguments appended to its resolved ones
+     */
+    factory(serviceId) {
+        const definition = publicDefinition(this, serviceId);
+
+        if (!definition.invokable) {
+            throw new Error(`Service "${serviceId}" is not a factory or a class. It does not accept runtime arguments.`);
+        }
+
+        return (...runtimeArgs) => definition.resolve(this, ...runtimeArgs);
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {Function}
+     */
+    getResolver(serviceId) {
+        const definition = publicDefinition(this, serviceId);
+        return () => definition.resolve(this);
+    }
+
+    /**
+     * Sets or overrides new service. Can be configured additionally as instance of Definition by configurator cb
+     * @param {string} serviceId
+     * @param {Function|Object|any} definition
+     * @param {...definitionConfiguratorCallback} [configurators]
+     * @return {*}
+     */
+    set(serviceId, definition, ...configurators) {
+        return this.setRaw(serviceId, this.create(definition), ...configurators);
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {Definition}
+     */
+    getDefinition(serviceId) {
+        if (this._aliases.has(serviceId)) {
+            return this.getDefinition(this._aliases.get(serviceId));
+        }
+
+        let definition = this._conditionals.has(serviceId) ? selectBranch(this, serviceId) : undefined;
+        definition = definition || this._definitions.get(serviceId);
+
+        if (!definition && this._parent) {
+            return this._parent.getDefinition(serviceId);
+        }
+
+        if (!definition) {
+            throw new Error(`Service with name ${serviceId} is not defined in container.`);
+        }
+
+        return definition;
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {boolean} whether the service or alias is defined in the container or its parents
+     */
+    has(serviceId) {
+        return isDefined(this, serviceId);
+    }
+
+    /**
+     * Removes service or alias defined in the container with its getter property, tags and shared instance
+     * @param {string} serviceId
+     * @return {Pimple}
+     */
+    remove(serviceId) {
+        ensureNotFrozen(this, `remove service "${serviceId}"`);
+
+        const conditional = this._conditionals.has(serviceId);
+
+        if (!this._aliases.has(serviceId) && !this._definitions.has(serviceId) && !conditional) {
+            throw new Error(`Service with name ${serviceId} is not defined in container and can not be removed.`);
+        }
+
+        // decorators and the inner service generated by decorate() go away with the decorated service
+        const decoration = this._decorations.get(serviceId);
+        const removed = decoration ? [
+            serviceId,
+            ..._.map(_.sortBy(decoration.decorators, ({priority}) => -priority), 'decoratorId').reverse(),
+            `${serviceId}.inner`
+        ] : [serviceId];
+
+        const dependents = [];
+        this._definitions.forEach((definition, id) => {
+            if (!_.includes(removed, id) && !_.isEmpty(_.intersection(definition.references(), removed))) {
+                dependents.push(`service "${id}"`);
+            }
+        });
+        this._aliases.forEach((targetId, aliasId) => {
+            if (!_.includes(removed, aliasId) && _.includes(removed, targetId)) {
+                dependents.push(`alias "${aliasId}"`);
+            }
+        });
+
+        if (!_.isEmpty(dependents)) {
+            throw new Error(`Service "${serviceId}" can not be removed. It is referenced by ${dependents.join(', ')}.`);
+        }
+
+        this._decorations.delete(serviceId);
+        _.forEach(removed, id => {
+            _.forEach(_.compact([this._definitions.get(id), ...(this._conditionals.get(id) || [])]), definition => {
+                forgetInstances(this, definition);
+            });
+
+            this._definitions.delete(id);
+            this._conditionals.delete(id);
+            this._aliases.delete(id);
+            this._tags.forEach((tagged, tagName) => this.untag(id, tagName));
+
+            if (!this.isReserved(id)) {
+                delete this[id];
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {boolean} [filter.shared] shared services only
+     * @param {string} [filter.lifetime] services of the lifetime only: "shared", "scoped" or "transient"
+     * @param {string} [filter.tag] services tagged with the tag only
+     * @param {string} [filter.label] services labeled with the label only
+     * @return {Array<string>} ids of services defined in the container and its parents
+     */
+    keys(filter) {
+        return _.map(this.entries(filter), 0);
+    }
+
+    /**
+     * @param {Object} [filter] see keys()
+     * @return {Array<[string, Definition]>} pairs of service ids and definitions
+     */
+    entries(filter = {}) {
+        const tagged = filter.tag !== undefined ? this.getTag(filter.tag) : null;
+
+        return _.filter(Array.from(visibleDefinitions(this)), ([serviceId, definition]) => {
+            return (!filter.shared || definition.shared)
+                && (filter.lifetime === undefined || definition.lifetime === filter.lifetime)
+                && (tagged === null || tagged.has(serviceId))
+                && (filter.label === undefined || definition.labels.has(filter.label));
+        });
+    }
+
+    /**
+     * @param {string} serviceId
+     * @param {Definition} definition
+     * @param {...definitionConfiguratorCallback} [configurators]
+     * @return {Pimple}
+     */
+    setRaw(serviceId, definition, ...configurators) {
+        if (!definition instanceof Definition) {
+            throw new Error('Raw definition should be an instance of Definition.');
+        }
+
+        ensureNotFrozen(this, `set service "${serviceId}"`);
+        definition.compile(serviceId);
+
+        if (this._autowiring && definition.type === 'class' && _.isEqual(definition.args, [definition.container])) {
+            definition.autowire();
+        }
+
+        const previous = this._definitions.get(serviceId);
+        this._aliases.delete(serviceId);
+        this._definitions.set(serviceId, definition);
+
+        /**
+         * A callback to additionally configure service on it's registration
+         * @callback definitionConfiguratorCallback
+         * @param {Definition} definition currently registered definition of service
+         * @param {Pimple} container
+         */
+        if (!_.isEmpty(configurators)) {
+            // tags are kept on the definition until it is known whether it is a conditional branch
+            definition.configuring = true;
+
+            try {
+                _.over([...configurators])(definition, this);
+            } finally {
+                definition.configuring = false;
+            }
+        }
+
+        _.forEach(this._conditions, condition => definition.when(condition));
+
+        if (!definition.conditional && !_.isEmpty(definition.branchTags)) {
+            this.tag(serviceId, ...definition.branchTags);
+            definition.branchTags = [];
+        }
+
+        if (definition.conditional) {
+            // conditional definition is a branch chosen on resolution, the unconditional one stays as default
+            if (previous) {
+                this._definitions.set(serviceId, previous);
+            } else {
+                this._definitions.delete(serviceId);
+            }
+
+            this._conditionals.set(serviceId, [...(this._conditionals.get(serviceId) || []), definition]);
+        }
+
+        defineAccessor(this, serviceId);
+        emit(this, 'define', {id: serviceId, definition});
+        return this;
+    }
+
+    /**
+     * Sets service as singleton of. While getting the service by its id the same instance will be returned always
+     * @param {string} serviceId
+     * @param {Function|Object|any} definition
+     * @param {...definitionConfiguratorCallback} [configures]
+     */
+    setShared(serviceId, definition, ...configures) {
+        const def = this.create(definition);
+        def.shared = true;
+        this.setRaw(serviceId, def, ...configures);
+    }
+
+    /**
+     * Sets service living once per scope. Each scope created by createScope() gets its own instance.
+     * @param {string} serviceId
+     * @param {Function|Object|any} definition
+     * @param {...definitionConfiguratorCallback} [configures]
+     */
+    setScoped(serviceId, definition, ...configures) {
+        const def = this.create(definition);
+        def.scoped = true;
+        this.setRaw(serviceId, def, ...configures);
+    }
+
+    /**
+     * Sets service which can only be injected into other services: by references, autowiring or get() of their
+     * factories. It is neither available by get() of the container nor exposed as its property.
+     * @param {string} serviceId
+     * @param {Function|Object|any} definition
+     * @param {...definitionConfiguratorCallback} [configures]
+     */
+    setPrivate(serviceId, definition, ...configures) {
+        const def = this.create(definition);
+        def.visibility = 'private';
+        this.setRaw(serviceId, def, ...configures);
+    }
+
+    /**
+     * Creates a read-only view of the container restricted to the services for plugins and other untrusted code
+     * @param {Array<string>|Object} services ids of the services or a tag query, e.g. {tag: 'plugins', where: {...}}
+     * @param {string} [services.tag]
+     * @return {ServiceLocator}
+     */
+    locator(services) {
+        const ids = _.isArray(services) ? services : taggedIds(this, services.tag, _.omit(services, 'tag'));
+
+        _.forEach(ids, serviceId => {
+            if (this.getDefinition(serviceId).private) {
+                throw new Error(`Service "${serviceId}" is private. It can not be exposed by a locator.`);
+            }
+        });
+
+        return new ServiceLocator(this, ids);
+    }
+
+    /**
+     * Creates a child container falling back to this one for definitions, labels and tags.
+     * Shared services stay common for all the scopes while scoped ones are instantiated per child container.
+     * @param {Object} [definitions] services to set in the scope only
+     * @return {Pimple}
+     */
+    createScope(definitions) {
+        const scope = new this.constructor(undefined, this._deepClone);
+        scope._parent = this;
+        scope._parameters = new ParameterBag(this._parameters);
+        scope._resolving = this._resolving;
+        scope._stack = this._stack;
+        scope._autowiring = this._autowiring;
+        scope._intercepting = this._intercepting;
+        // services defined in parents by the time the scope is created are accessible as its properties as well
+        for (let parent = this; parent; parent = parent._parent) {
+            _.forEach(
+                [...parent._definitions.keys(), ...parent._conditionals.keys(), ...parent._aliases.keys()],
+                serviceId => defineAccessor(scope, serviceId)
+            );
+        }
+        _.forOwn(definitions || {}, (definition, serviceId) => scope.set(serviceId, definition));
+        return scope;
+    }
+
+    /**
+     * Sets parameter available for %name% placeholders in services and other parameters
+     * @param {string} name dotted path to the parameter, nested values are accessible by their paths as well
+     * @param {*} value
+     * @param {Object} [schema] Joi schema or a literal compilable by Joi.compile(), the resolved value
+     * is validated against it on compile() and on the first getParameter()
+     * @param {Object} [options]
+     * @param {boolean} [options.coerce=false] whether getParameter() returns the value converted by the schema
+     * @return {Pimple}
+     */
+    setParameter(name, value, schema, {coerce = false} = {}) {
+        ensureNotFrozen(this, `set parameter "${name}"`);
+        this._parameters.set(name, value);
+
+        if (schema) {
+            this._parameterSchemas.set(name, {schema: Joi.compile(schema), coerce});
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {string} name
+     * @return {*} parameter value with all the placeholders resolved, validated if it has a schema
+     * @throws {Error} when the value does not match the schema
+     */
+    getParameter(name) {
+        const validation = parameterValidation(this, name);
+
+        if (!validation) {
+            return this._parameters.get(name);
+        }
+
+        // validated values are kept until any parameter the value may depend on is changed
+        const revision = this._parameters.revision();
+        const validated = this._validatedParameters.get(name);
+
+        if (validated && validated.revision === revision) {
+            return validated.value;
+        }
+
+        const value = this._parameters.get(name);
+        const {value: converted, problems} = validate(value, validation);
+
+        if (!_.isEmpty(problems)) {
+            throw new Error(`Parameter "${name}" is invalid: ${problems.join('; ')}.`);
+        }
+
+        this._validatedParameters.set(name, {revision, value: validation.coerce ? converted : value});
+        return this._validatedParameters.get(name).value;
+    }
+
+    /**
+     * @param {string} name
+     * @return {boolean}
+     */
+    hasParameter(name) {
+        return this._parameters.has(name);
+    }
+
+    /**
+     * @return {Array<string>} names of the top level parameters including ones inherited from parents
+     */
+    parameterNames() {
+        return this._parameters.names();
+    }
+
+    /**
+     * Resolves %name% and %env(NAME)% placeholders in strings, arrays and plain objects
+     * @param {*} value
+     * @param {string} [serviceId] service referencing the value to point at in errors
+     * @return {*}
+     */
+    resolveParameters(value, serviceId) {
+        return this._parameters.resolve(value, serviceId);
+    }
+
+    /**
+     * Turns on autowiring of classes set afterwards without explicit arguments.
+     * Constructor arguments are resolved by ids from static inject property or constructor parameter names.
+     * @param {boolean} [enabled=true]
+     * @return {Pimple}
+     */
+    enableAutowiring(enabled = true) {
+        this._autowiring = enabled;
+        return this;
+    }
+
+    /**
+     * Wraps methods of services matching the target by the interceptor. Services of the container and its scopes
+     * created afterwards are intercepted, interceptors with higher priority are the outer ones.
+     * @param {Object} target
+     * @param {string} [target.id] id of the service or of an alias to it, e.g. of the decorated service
+     * @param {string} [target.tag] matches tags of the aliases too
+     * @param {string} [target.label]
+     * @param {Array<string>|RegExp} [target.methods] names of the methods to intercept, all of them by default
+     * @param {Function} interceptor receives the Invocation and returns the result of the method call
+     * @param {number} [priority=0]
+     * @return {Pimple}
+     */
+    intercept(target, interceptor, priority = 0) {
+        ensureNotFrozen(this, 'add interceptor');
+
+        Joi.validate(target, interceptorTargetSchema, err => {
+            if (err) {
+                throw err;
+            }
+        });
+
+        if (!_.isFunction(interceptor)) {
+            throw new Error('Interceptor should be a function.');
+        }
+
+        this._interceptors.push({target, methods: target.methods, callback: interceptor, priority});
+        return this;
+    }
+
+    /**
+     * Turns interception of services created by the container and its scopes created afterwards on or off
+     * @param {boolean} [enabled=true]
+     * @return {Pimple}
+     */
+    enableInterceptors(enabled = true) {
+        this._intercepting = enabled;
+        return this;
+    }
+
+    /**
+     * Captures definitions, aliases, tags, labels, parameters and instantiated services of the container
+     * to bring them back by restore()
+     * @return {Object}
+     */
+    snapshot() {
+        const definitions = new Map(this._definitions);
+        const conditionals = new Map(Array.from(this._conditionals, ([serviceId, branches]) => [serviceId, [...branches]]));
+        const all = [...definitions.values(), ..._.flatten(Array.from(conditionals.values()))];
+
+        return {
+            definitions,
+            conditionals,
+            states: new Map(all.map(definition => [definition, definition.snapshot()])),
+            aliases: new Map(this._aliases),
+            decorations: copyDecorations(this._decorations),
+            tags: copyTags(this._tags),
+            labels: new Map(this._labels),
+            labelOptions: new Map(this._labelOptions),
+            interceptors: [...this._interceptors],
+            parameters: _.cloneDeep(this._parameters.values),
+            parameterSchemas: new Map(this._parameterSchemas),
+            instances: new Map(this._instances),
+            passes: [...this._passes],
+            frozen: this._frozen
+        };
+    }
+
+    /**
+     * Brings the container back to the state captured by snapshot()
+     * @param {Object} snapshot
+     * @return {Pimple}
+     */
+    restore(snapshot) {
+        _.forEach([...this._definitions.keys(), ...this._conditionals.keys(), ...this._aliases.keys()], serviceId => {
+            if (!this.isReserved(serviceId)) {
+                delete this[serviceId];
+            }
+        });
+
+        this._definitions = new Map(snapshot.definitions);
+        this._conditionals = new Map(Array.from(snapshot.conditionals, ([serviceId, branches]) => [serviceId, [...branches]]));
+        snapshot.states.forEach((state, definition) => definition.restore(state));
+        this._aliases = new Map(snapshot.aliases);
+        this._decorations = copyDecorations(snapshot.decorations);
+        this._tags = copyTags(snapshot.tags);
+        this._labels = new Map(snapshot.labels);
+        this._labelOptions = new Map(snapshot.labelOptions);
+        this._interceptors = [...snapshot.interceptors];
+        this._parameters.values = _.cloneDeep(snapshot.parameters);
+        this._parameterSchemas = new Map(snapshot.parameterSchemas);
+        this._validatedParameters = new Map();
+        this._instances = new Map(snapshot.instances);
+        this._pending = new Map();
+        this._passes = [...snapshot.passes];
+        this._frozen = snapshot.frozen;
+
+        _.forEach(
+            [...this._definitions.keys(), ...this._conditionals.keys(), ...this._aliases.keys()],
+            serviceId => defineAccessor(this, serviceId)
+        );
+
+        return this;
+    }
+
+    /**
+     * Replaces service with a fake keeping its lifetime and tags. Already instantiated services depending
+     * on it are reset to be created again with the fake. Works for compiled containers as well.
+     * @param {string} serviceId
+     * @param {Function|Object|any} value
+     * @return {Pimple}
+     */
+    override(serviceId, value) {
+        const previous = this.has(serviceId) ? this.getDefinition(serviceId) : null;
+        const overridden = _.uniq(_.compact([serviceId, previous && previous.ID]));
+        const definitions = visibleDefinitions(this);
+        const dependents = new Set();
+        const collect = ids => {
+            definitions.forEach((definition, id) => {
+                if (!dependents.has(definition) && !_.isEmpty(_.intersection(definition.dependencies(), ids))) {
+                    dependents.add(definition);
+                    collect([id, definition.ID]);
+                }
+            });
+        };
+        collect(overridden);
+
+        dependents.forEach(definition => {
+            forgetInstances(definition.container, definition);
+            forgetInstances(this, definition);
+        });
+
+        const definition = this.create(value);
+        if (previous) {
+            definition.shared = previous.shared;
+            definition.scoped = previous.scoped;
+        }
+
+        definition.compile(serviceId);
+        this._aliases.delete(serviceId);
+        this._conditionals.delete(serviceId);
+        this._definitions.set(serviceId, definition);
+        defineAccessor(this, serviceId);
+
+        return this;
+    }
+
+    /**
+     * Registers a callback to modify definitions, tags and labels on compile()
+     * @param {compilerPassCallback} pass
+     * @param {number} [priority=0] passes with higher priority run first, equal ones in order of registration
+     * @return {Pimple}
+     */
+    addCompilerPass(pass, priority = 0) {
+        /**
+         * @callback compilerPassCallback
+         * @param {Pimple} container
+         */
+        ensureNotFrozen(this, 'add compiler pass');
+        this._passes.push({pass, priority});
+        return this;
+    }
+
+    /**
+     * Runs compiler passes, validates references to services and labels and freezes the container.
+     * Frozen container refuses to set, tag, label or extend services and to set parameters.
+     * @return {Pimple}
+     */
+    compile() {
+        if (this._frozen) {
+            return this;
+        }
+
+        _.forEach(_.sortBy(this._passes, ({priority}) => -priority), ({pass}) => pass(this));
+
+        const errors = [];
+        const has = serviceId => this.has(serviceId);
+
+        // the matching branches become regular definitions as parameters can not be changed anymore
+        this._conditionals.forEach((branches, serviceId) => {
+            try {
+                const branch = selectBranch(this, serviceId);
+
+                if (branch) {
+                    this._definitions.set(serviceId, branch);
+                    this.tag(serviceId, ...branch.branchTags);
+                }
+
+                this._conditionals.delete(serviceId);
+            } catch (e) {
+                errors.push(_.lowerFirst(_.trimEnd(e.message, '.')));
+            }
+        });
+
+        this._definitions.forEach((definition, serviceId) => {
+            _.forEach(definition.references(), reference => {
+                if (!has(reference)) {
+                    errors.push(`service "${serviceId}" references undefined service "${reference}"`);
+                }
+            });
+            definition.labels.forEach(label => {
+                try {
+                    this.getLabel(label);
+                } catch (e) {
+                    errors.push(`service "${serviceId}" is labeled with undefined label "${label}"`);
+                }
+            });
+            try {
+                definition.orderedLabels(this);
+            } catch (e) {
+                errors.push(_.lowerFirst(_.trimEnd(e.message, '.')));
+            }
+        });
+        this._aliases.forEach((targetId, aliasId) => {
+            if (!has(targetId)) {
+                errors.push(`alias "${aliasId}" targets undefined service "${targetId}"`);
+            }
+        });
+        this._tags.forEach((tagged, tagName) => {
+            tagged.forEach((tags, serviceId) => {
+                if (!has(serviceId)) {
+                    errors.push(`tag "${tagName}" is set for undefined service "${serviceId}"`);
+                }
+            });
+        });
+        this._parameterSchemas.forEach((validation, name) => {
+            const {problems} = validate(this._parameters.get(name), validation);
+
+            if (!_.isEmpty(problems)) {
+                errors.push(`parameter "${name}" is invalid: ${problems.join('; ')}`);
+            }
+        });
+        // values depend on parameters only so they are safe to be resolved and validated in advance
+        this._definitions.forEach((definition, serviceId) => {
+            if (definition.validation && definition.type === 'value') {
+                try {
+                    definition.resolve(this);
+                } catch (e) {
+                    errors.push(`service "${serviceId}" could not be validated: ${e.message}`);
+                }
+            }
+        });
+
+        if (!_.isEmpty(errors)) {
+            throw new Error(`Container compilation failed:\n - ${errors.join('\n - ')}`);
+        }
+
+        this._frozen = true;
+        return this;
+    }
+
+    /**
+     * @return {boolean} whether the container is compiled and can not be modified anymore
+     */
+    isFrozen() {
+        return this._frozen;
+    }
+
+    /**
+     * Describes all the services visible in the container with their dependencies.
+     * Dependencies are declared by argument references or recorded while services are resolved.
+     * @return {Array<ServiceInfo>}
+     */
+    inspect() {
+        /**
+         * @typedef {Object} ServiceInfo
+         * @property {string} id
+         * @property {string} lifetime "shared", "scoped" or "transient"
+         * @property {string} visibility "public" or "private"
+         * @property {string|null} condition description of the conditions the definition was chosen by
+         * @property {boolean} lazy
+         * @property {boolean} instantiated whether the shared or scoped instance is created
+         * @property {Array<Object>} tags
+         * @property {Array<string>} labels
+         * @property {Array<string>} declared ids of services referenced by arguments
+         * @property {Array<string>} resolved ids of services required while resolving
+         * @property {Array<string>} dependencies all the ids of services the service depends on
+         * @property {Array<string>} dependents ids of services depending on the service
+         * @property {Array<string>} aliases ids targeting the service
+         */
+        const services = [];
+        const definitions = visibleDefinitions(this);
+
+        definitions.forEach((definition, serviceId) => {
+            services.push({
+                id: serviceId,
+                lifetime: definition.lifetime,
+                visibility: definition.visibility,
+                condition: definition.conditional ? definition.condition : null,
+                lazy: definition.lazy,
+                instantiated: this._instances.has(definition) || definition.instantiated,
+                tags: [],
+                labels: Array.from(definition.labels),
+                declared: definition.references(),
+                resolved: Array.from(definition.resolved),
+                dependencies: definition.dependencies(),
+                dependents: [],
+                aliases: []
+            });
+        });
+
+        const byId = _.keyBy(services, 'id');
+        _.forEach(services, service => {
+            _.forEach(service.dependencies, dependency => {
+                if (_.has(byId, dependency)) {
+                    byId[dependency].dependents.push(service.id);
+                }
+            });
+        });
+        visibleAliases(this).forEach((targetId, aliasId) => {
+            if (_.has(byId, targetId)) {
+                byId[targetId].aliases.push(aliasId);
+            }
+        });
+        _.forEach(tagNames(this), tagName => {
+            this.getTag(tagName).forEach((tags, serviceId) => {
+                if (_.has(byId, serviceId)) {
+                    byId[serviceId].tags.push(...tags);
+                }
+            });
+        });
+
+        return services;
+    }
+
+    /**
+     * Starts collecting timings of resolved services
+     * @return {Profiler}
+     */
+    profile() {
+        return new Profiler(this);
+    }
+
+    /**
+     * Tears down instantiated shared and scoped services of the container in reverse order of their creation.
+     * The container can not resolve services anymore after it is disposed.
+     * @return {Promise<void>} rejected with DisposalError aggregating all the disposers failures
+     */
+    async dispose() {
+        if (this._disposed) {
+            return;
+        }
+
+        this._disposed = true;
+        await Promise.all(Array.from(this._pending.values(), pending => pending.catch(_.noop)));
+
+        const instances = Array.from(this._instances).reverse();
+        const errors = [];
+        this._instances.clear();
+
+        for (const [definition, instance] of instances) {
+            if (!isInitialized(instance)) {
+                continue;
+            }
+
+            for (const disposer of definition.disposers) {
+                try {
+                    await disposer.apply(definition, [instance, this, definition.ID]);
+                } catch (e) {
+                    errors.push(e);
+                }
+            }
+        }
+
+        if (!_.isEmpty(errors)) {
+            throw new DisposalError(errors);
+        }
+    }
+
+    /**
+     * @return {boolean} whether the container or any of its parents is disposed
+     */
+    isDisposed() {
+        return this._disposed || (this._parent !== null && this._parent.isDisposed());
+    }
+
+    /**
+     * Sets function as a service value. The same function is returned while getting the service.
+     * @param {string} serviceId
+     * @param {Function} callable
+     * @param {...definitionConfiguratorCallback} [configurators]
+     * @return {Pimple}
+     */
+    setProtected(serviceId, callable, ...configurators) {
+        return this.set(serviceId, this.protect(callable), ...configurators);
+    }
+
+    /**
+     * Protects function from being treated as a factory by set() and constructor definitions
+     * @param {Function} callable
+     * @return {DefinitionValue}
+     */
+    protect(callable) {
+        return protect(callable);
+    }
+
+    /**
+     * Retrieves the definition value of the service as it was set without resolving it
+     * @param {string} serviceId
+     * @return {*}
+     */
+    raw(serviceId) {
+        return this.getDefinition(serviceId).raw;
+    }
+
+    /**
+     * use a function to register a set of definitions
+     * @param {Function} definitionProvider
+     * @param {...(Object|Function)} [conditions] added to all the services set by the provider, see when()
+     * @returns {*}
+     */
+    register(definitionProvider, ...conditions) {
+        const previous = this._conditions;
+        const unwrap = condition => _.isFunction(condition) && _.has(condition, 'condition') ? condition.condition : condition;
+        this._conditions = [...previous, ..._.map(conditions, unwrap)];
+
+        try {
+            return definitionProvider(this);
+        } finally {
+            this._conditions = previous;
+        }
+    }
+
+    /**
+     * @param {Object|Function} definition
+     * @param {Object} [context={Pimple}] Context to bing as this arg to a factory
+     * @param [...args={Pimple}] arguments to pass to a factory callback or instance constructor.
+     * References to other services are resolved and %placeholders% are replaced with parameters.
+     * @return {Definition}
+     */
+    create(definition, context, ...args) {
+        if (args.length <= 1 && !args[0]) {
+            args = [this];
+        }
+
+        return new Definition(definition, this, context || this, ...args);
+    }
+
+    /**
+     * Registers parameters and services from configuration object or JSON/JS file.
+     * Configuration is validated before any service is set.
+     * @param {Object|string} config configuration object or path to the file exporting it
+     * @param {string} [basePath=process.cwd()] directory to resolve module paths of configuration object against
+     * @return {Pimple}
+     */
+    load(config, basePath) {
+        if (_.isString(config)) {
+            return loader.loadFile(this, config);
+        }
+
+        return loader.load(this, config, {basePath});
+    }
+
+    tag(service, ...tags) {
+        ensureNotFrozen(this, `tag service "${service}"`);
+        _.forEach(tags, tag => {
+            const plainTag = normalizeTag(tag);
+            let tagged, tagsIn;
+            if (!this._tags.has(plainTag.name)) {
+                tagged = new Map();
+                this._tags.set(plainTag.name, tagged);
+            } else {
+                tagged = this._tags.get(plainTag.name)
+            }
+
+            if (!tagged.has(service)) {
+                tagsIn = [];
+                tagged.set(service, tagsIn)
+            } else {
+                tagsIn = tagged.get(service);
+            }
+
+            tagsIn.push(plainTag);
+            emit(this, 'tag', {id: service, tag: plainTag});
+        });
+        return this;
+    }
+
+    /**
+     * Removes all the tags with the name from the service
+     * @param {string} service
+     * @param {string} tagName
+     * @return {Pimple}
+     */
+    untag(service, tagName) {
+        ensureNotFrozen(this, `untag service "${service}"`);
+
+        const tagged = this._tags.get(tagName);
+        if (tagged) {
+            tagged.delete(service);
+
+            if (tagged.size === 0) {
+                this._tags.delete(tagName);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Retrieve a Map where serviceIds are service serviceIds and values are all matched tags defined for the service.
+     * @param {string} tagName
+     * @return {Map<service, Array>}
+     */
+    getTag(tagName) {
+        const tagged = withBranchTags(this, tagName, this._tags.has(tagName) ? this._tags.get(tagName) : new Map());
+
+        if (!this._parent) {
+            return tagged;
+        }
+
+        const inherited = new Map(this._parent.getTag(tagName));
+        tagged.forEach((tags, serviceId) => {
+            inherited.set(serviceId, [...(inherited.get(serviceId) || []), ...tags]);
+        });
+
+        return inherited;
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {object|array} [sortOptions] an options to sort tagged services by (example: {field: 'priority', order: -1} or ['priority', -1])
+     * @param {string} [sortOptions.field] a field in tag object to get sort index from
+     * @param {number} [sortOptions.order] positive or negative 1 (-1 or 1) to determine order vector.
+     * @param {Function<serviceName,tag>}callback
+     */
+    overTags(tagName, sortOptions, callback) {
+        if (_.isFunction(arguments[1])) {
+            callback = arguments[1];
+            sortOptions = undefined;
+        }
+
+        if (sortOptions) {
+            if (_.isArray(sortOptions)) {
+                sortOptions = {
+                    field: sortOptions[0],
+                    order: sortOptions[1]
+                }
+            }
+
+            Joi.validate(
+                sortOptions,
+                Joi.object().keys({
+                    field: Joi.string().required(),
+                    order: Joi.number().min(-1).max(1).invalid(0).required()
+                }),
+                err => {
+                    if (err) {
+                        throw err;
+                    }
+                }
+            );
+
+            this.getSortedTags(tagName, (tagMap) => {
+                let pairs = [];
+                tagMap.forEach((tags, taggedService) => {
+                    tags.forEach(tag => {
+                        pairs.push([taggedService, tag])
+                    })
+                });
+
+                return pairs.sort(([serviceA, tagA], [serviceB, tagB]) => {
+                    let v1 = _.get(tagA, sortOptions.field, 0);
+                    let v2 = _.get(tagB, sortOptions.field, 0);
+                    if (v1 < v2) {
+                        return -1 * sortOptions.order;
+                    }
+
+                    return v1 > v2 ? 1 * sortOptions.order : 0
+                });
+            }).forEach(([taggedServiceName, tag]) => callback(taggedServiceName, tag))
+
+        } else {
+            this.getTag(tagName).forEach((tags, taggedServiceName) => {
+                tags.forEach((tag) => {
+                    callback(taggedServiceName, tag)
+                })
+            })
+        }
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {function} sortFunction
+     * @return {Array<[serviceName, tag]>}
+     */
+    getSortedTags(tagName, sortFunction) {
+        return sortFunction(this.getTag(tagName))
+    }
+
+    /**
+     * Filters and sorts the services tagged by the name. Fails when any of the found services is not defined anymore.
+     * @param {string} tagName
+     * @param {TagQuery} [options]
+     * @return {Array<[string, Object]>} pairs of service id and tag, a service is listed once per matching tag
+     */
+    findTagged(tagName, options) {
+        const found = queryTags(this.getTag(tagName), options);
+        const missing = _.uniq(_.map(_.reject(found, ([serviceId]) => isDefined(this, serviceId)), 0));
+
+        if (!_.isEmpty(missing)) {
+            throw new Error(`Services "${missing.join('", "')}" tagged by "${tagName}" are not defined.`);
+        }
+
+        return found;
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {TagQuery} [options]
+     * @return {Array<*>} instances of the found services, each service once
+     */
+    getTagged(tagName, options) {
+        return _.map(taggedIds(this, tagName, options), serviceId => this.get(serviceId));
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {TagQuery} [options]
+     * @return {Promise<Array<*>>}
+     */
+    async getTaggedAsync(tagName, options) {
+        return Promise.all(_.map(taggedIds(this, tagName, options), serviceId => this.getAsync(serviceId)));
+    }
+
+    /**
+     * @param {string} tagName
+     * @param {TagQuery} [options]
+     * @return {ServiceLocator} instantiating the found services only when they are requested or iterated
+     */
+    getTaggedLocator(tagName, options) {
+        return new ServiceLocator(this, taggedIds(this, tagName, options));
+    }
+
+    /**
+     * Decorates already registered service. Extenders are applied in order of registration on each instantiation.
+     * @param {string} serviceId
+     * @param {serviceExtenderCallback} extender
+     * @return {Pimple}
+     */
+    extend(serviceId, extender) {
+        /**
+         * A callback to modify or replace the service instance before it is labeled and returned
+         * @callback serviceExtenderCallback
+         * @param {*} service instance produced by the definition or by the previous extender
+         * @param {Pimple} container
+         * @param {string} serviceId
+         * @return {*} the service instance to use instead
+         */
+        ownDefinition(this, serviceId, 'extend').extend(extender);
+        return this;
+    }
+
+    /**
+     * Makes service available by another id. Alias shares the definition of the target, so shared instances
+     * are the same. Target is looked up on each resolution, so it can be overridden later.
+     * @param {string} aliasId
+     * @param {string} targetId
+     * @return {Pimple}
+     */
+    alias(aliasId, targetId) {
+        ensureNotFrozen(this, `alias service "${aliasId}"`);
+
+        for (let id = targetId; id !== undefined; id = this._aliases.get(id)) {
+            if (id === aliasId) {
+                throw new Error(`Alias "${aliasId}" can not target itself through "${targetId}".`);
+            }
+        }
+
+        this._definitions.delete(aliasId);
+        this._aliases.set(aliasId, targetId);
+        defineAccessor(this, aliasId);
+
+        return this;
+    }
+
+    /**
+     * Wraps service by decorator registered as decoratorId while the service id is aliased to the outermost decorator.
+     * The original service stays available as "<serviceId>.inner". Decorators with higher priority are applied first,
+     * equal ones in order of registration. Tags and labels of the service are kept for the outer service.
+     * @param {string} serviceId
+     * @param {string} decoratorId
+     * @param {serviceDecoratorCallback} factory
+     * @param {number} [priority=0]
+     * @return {Pimple}
+     */
+    decorate(serviceId, decoratorId, factory, priority = 0) {
+        /**
+         * A factory of the service wrapping the inner one
+         * @callback serviceDecoratorCallback
+         * @param {*} inner instance of the original service or of the previously applied decorator
+         * @param {Pimple} container
+         * @return {*}
+         */
+        ensureNotFrozen(this, `decorate service "${serviceId}"`);
+
+        if (!this._decorations.has(serviceId)) {
+            const original = this.getDefinition(serviceId);
+            this._decorations.set(serviceId, {original, labels: original.labels, decorators: []});
+            original.labels = new Set([]);
+            this._definitions.delete(serviceId);
+            this.setRaw(`${serviceId}.inner`, original);
+        }
+
+        const decoration = this._decorations.get(serviceId);
+        decoration.decorators.push({decoratorId, factory, priority});
+
+        let innerId = `${serviceId}.inner`;
+        let outer;
+        _.forEach(_.sortBy(decoration.decorators, ({priority}) => -priority), ({decoratorId, factory}) => {
+            outer = this.create(factory, null, ref(innerId), this);
+            outer.shared = decoration.original.shared;
+            outer.scoped = decoration.original.scoped;
+            this.setRaw(decoratorId, outer);
+            innerId = decoratorId;
+        });
+        outer.labels = decoration.labels;
+
+        return this.alias(serviceId, innerId);
+    }
+
+    /**
+     * labels specific service to execute labeled callback whenever service instantiated
+     * @param {string} serviceId A serviceId of service to addLabel
+     * @param {string} labels labels to addLabel with
+     * @return {Pimple}
+     */
+    addLabel(serviceId, ...labels) {
+        const rawDef = ownDefinition(this, serviceId, 'label');
+        _.forEach(labels, label => rawDef.label(label));
+        return this;
+    }
+
+    /**
+     * Define
+     * @param {string} label
+     * @param {Function<service, Pimple>} callback may be async for services resolved by getAsync()
+     * @param {LabelOptions} [options] order of the label among the others of the service and instance replacement
+     * @return {Pimple}
+     */
+    defineLabel(label, callback, options = {}) {
+        ensureNotFrozen(this, `define label "${label}"`);
+
+        Joi.validate(options, labelOptionsSchema, err => {
+            if (err) {
+                throw err;
+            }
+        });
+
+        this._labels.set(label, callback);
+        this._labelOptions.set(label, options);
+        return this;
+    }
+
+    /**
+     * @param {string} label
+     * @return {LabelOptions} options of the label defined in the container or its closest parent
+     */
+    getLabelOptions(label) {
+        if (!this._labels.has(label) && this._parent) {
+            return this._parent.getLabelOptions(label);
+        }
+
+        return this._labelOptions.get(label) || {};
+    }
+
+    getLabel(label) {
+        if (!this._labels.has(label) && this._parent) {
+            return this._parent.getLabel(label);
+        }
+
+        if (!this._labels.has(label)) {
+            throw new Error(
+                `Pimple label "${label}" callback is not defined but service is labeled wih it.`
+            );
+        }
+
+        return this._labels.get(label);
+    }
+
+    isReserved(serviceId) {
+        return this._reserved.indexOf(serviceId) !== -1;
+    }
+}
+
+/**
+ * @class Definition
+ */
+class Definition {
+    constructor(definition, container, context, ...args) {
+        this.container = container;
+        this._shared = false;
+        this._scoped = false;
+        this._lazy = false;
+        this._private = false;
+        this._interpolated = false;
+        this._type = undefined;
+        this.labels = new Set([]);
+        this.extenders = [];
+        this.disposers = [];
+        this.calls = [];
+        this.properties = {};
+        this.autowired = [];
+        this.validation = null;
+        this.conditions = [];
+        this.branchTags = [];
+        this.configuring = false;
+        this.origin = null;
+        this.argumentsKey = defaultArgumentsKey;
+        this.variants = new Map();
+        this.resolved = new Set([]);
+        this.context = context;
+        this.args = args;
+        this.raw = this.configure(definition);
+    }
+
+    /**
+     * @return {Object} copy of the configurable state of the definition
+     */
+    snapshot() {
+        return {
+            ID: this.ID,
+            shared: this._shared,
+            scoped: this._scoped,
+            lazy: this._lazy,
+            private: this._private,
+            interpolated: this._interpolated,
+            labels: new Set(this.labels),
+            extenders: [...this.extenders],
+            disposers: [...this.disposers],
+            calls: [...this.calls],
+            properties: _.clone(this.properties),
+            autowired: [...this.autowired],
+            validation: this.validation,
+            conditions: [...this.conditions],
+            branchTags: [...this.branchTags],
+            argumentsKey: this.argumentsKey,
+            args: [...this.args]
+        };
+    }
+
+    /**
+     * @param {Object} snapshot state taken by snapshot()
+     * @return {Definition}
+     */
+    restore(snapshot) {
+        this._shared = snapshot.shared;
+        this._scoped = snapshot.scoped;
+        this._lazy = snapshot.lazy;
+        this._private = snapshot.private;
+        this._interpolated = snapshot.interpolated;
+        this.labels = new Set(snapshot.labels);
+        this.extenders = [...snapshot.extenders];
+        this.disposers = [...snapshot.disposers];
+        this.calls = [...snapshot.calls];
+        this.properties = _.clone(snapshot.properties);
+        this.autowired = [...snapshot.autowired];
+        this.validation = snapshot.validation;
+        this.conditions = [...snapshot.conditions];
+        this.branchTags = [...snapshot.branchTags];
+        this.argumentsKey = snapshot.argumentsKey;
+        this.args = [...snapshot.args];
+        this.compile(snapshot.ID);
+        return this;
+    }
+
+    set shared(val) {
+        this._shared = val;
+    }
+
+    get shared() {
+        return this._shared;
+    }
+
+    set scoped(val) {
+        this._scoped = val;
+    }
+
+    get scoped() {
+        return this._scoped;
+    }
+
+    /**
+     * Lazy service is a proxy creating the real instance on the first access to its properties or methods
+     * @param {boolean} val
+     */
+    set lazy(val) {
+        this._lazy = val;
+    }
+
+    get lazy() {
+        return this._lazy;
+    }
+
+    /**
+     * Whether %placeholders% of the value service, or of arguments, calls and properties of factories and classes
+     * are replaced with parameters. Strings set by code are taken as is by default, the loader opts its services in.
+     * @param {boolean} val
+     */
+    set interpolated(val) {
+        this._interpolated = val;
+    }
+
+    get interpolated() {
+        return this._interpolated;
+    }
+
+    /**
+     * @param {string} val "public" or "private"
+     */
+    set visibility(val) {
+        if (val !== 'public' && val !== 'private') {
+            throw new Error(`Visibility of service "${this.ID}" can be "public" or "private", "${val}" given.`);
+        }
+
+        this._private = val === 'private';
+    }
+
+    get visibility() {
+        return this._private ? 'private' : 'public';
+    }
+
+    get private() {
+        return this._private;
+    }
+
+    /**
+     * @return {string} one of "shared", "scoped" or "transient"
+     */
+    get lifetime() {
+        if (this._shared) {
+            return 'shared';
+        }
+
+        return this._scoped ? 'scoped' : 'transient';
+    }
+
+    /**
+     * Whether the function definition is a service value itself and not a factory
+     * @return {boolean}
+     */
+    get protected() {
+        return this.type === 'protected';
+    }
+
+    /**
+     * How the definition produces the service: "class" is instantiated with new, "factory" is called,
+     * "protected" function and any other "value" are returned as is
+     * @return {string}
+     */
+    get type() {
+        if (this._type) {
+            return this._type;
+        }
+
+        if (isClass(this.raw)) {
+            return 'class';
+        }
+
+        return _.isFunction(this.raw) ? 'factory' : 'value';
+    }
+
+    /**
+     * Whether the shared instance of the service is already created
+     * @return {boolean}
+     */
+    get instantiated() {
+        return this.container._instances.has(this);
+    }
+
+    /**
+     * Whether the service is created by a call, so runtime arguments can be passed to it
+     * @return {boolean}
+     */
+    get invokable() {
+        return this.type === 'class' || this.type === 'factory';
+    }
+
+    /**
+     * Whether the service is created by an async factory and can be resolved by getAsync() only
+     * @return {boolean}
+     */
+    get async() {
+        return this.type === 'factory' && this.raw.constructor.name === 'AsyncFunction';
+    }
+
+    get id() {
+        if (!this.ID) {
+            throw new Error('Service is not correctly compiled. No identifier specified.');
+        }
+        return this.ID;
+    }
+
+    configure(definition) {
+        if (definition instanceof Definition) {
+            this.context = definition.context;
+            this.args = definition.args;
+            const source = definition;
+            definition = () => source.resolve();
+        }
+
+        if (definition instanceof DefinitionValue) {
+            this._type = definition.type;
+            definition = definition.value;
         }
+
+        return definition;
     }
 
-    throw new Error('Service tags can be strings or plain objects with mandatory "name" field.');
-};
+    /**
+     * @param {string} name label name to set for the Definition
+     * @param {Function} [labelToDefine] adds possibility to define common callback for the label in Pimple
+     * @return {Definition}
+     */
+    label(name, labelToDefine, options) {
+        ensureNotFrozen(this.container, `label service "${this.ID}"`);
+        this.labels.add(name);
+        if (_.isFunction(labelToDefine)) {
+            this.container.defineLabel(name, labelToDefine, options);
+        }
+        return this;
+    }
 
-/**
- * ES6 impl of Pimple dependency injection container inspired by pimple of M.PARAISO <mparaiso@online.fr>
- * @class Pimple
- */
-class Pimple {
+    /**
+     * Reverse method helper for Pimple to set tags on Definition directly.
+     * Tags of a conditional definition are kept by it and only apply while the definition is the chosen branch.
+     * @param tags
+     */
+    tags(...tags) {
+        if (this.configuring || this.conditional) {
+            this.branchTags.push(..._.map(tags, normalizeTag));
+        } else {
+            this.container.tag(this.ID, ...tags);
+        }
 
-    constructor(definitions, deepClone = true) {
-        this._deepClone = deepClone;
-        this._definitions = new Map();
-        this._labels = new Map();
-        this._tags = new Map();
-        this._reserved = [];
-        this._reserved = _.keysIn(this);
-        _.forOwn(definitions || {}, (definition, serviceId) => this.set(serviceId, definition))
+        return this;
     }
 
     /**
-     * @param {string} serviceId
-     * @return {*}
+     * @param {serviceExtenderCallback} extender
+     * @return {Definition}
      */
-    get(serviceId) {
-        return this.getDefinition(serviceId).resolve();
+    extend(extender) {
+        if (this._shared && this.instantiated) {
+            throw new Error(`Shared service "${this.ID}" is already instantiated and can not be extended.`);
+        }
+
+        ensureNotFrozen(this.container, `extend service "${this.ID}"`);
+        this.extenders.push(extender);
+        return this;
     }
 
     /**
-     * @param {string} serviceId
-     * @return {Function}
+     * @param {serviceDisposerCallback} disposer
+     * @return {Definition}
      */
-    getResolver(serviceId) {
-        return this.getDefinition(serviceId).resolve;
+    onDispose(disposer) {
+        /**
+         * A callback to release resources of instantiated shared or scoped service while container is disposed
+         * @callback serviceDisposerCallback
+         * @param {*} service
+         * @param {Pimple} container
+         * @param {string} serviceId
+         * @return {Promise|*}
+         */
+        ensureNotFrozen(this.container, `add disposer to service "${this.ID}"`);
+        this.disposers.push(disposer);
+        return this;
     }
 
     /**
-     * Sets or overrides new service. Can be configured additionally as instance of Definition by configurator cb
-     * @param {string} serviceId
-     * @param {Function|Object|any} definition
-     * @param {...definitionConfiguratorCallback} [configurators]
-     * @return {*}
+     * Adds method to call on the created instance (setter injection). Calls are made in order of adding.
+     * @param {string} method
+     * @param {...*} args arguments resolved the same way as the factory ones
+     * @return {Definition}
      */
-    set(serviceId, definition, ...configurators) {
-        return this.setRaw(serviceId, this.create(definition), ...configurators);
+    call(method, ...args) {
+        ensureNotFrozen(this.container, `add method call to service "${this.ID}"`);
+        this.calls.push([method, args]);
+        return this;
     }
 
     /**
-     * @param {string} serviceId
+     * Sets property of the created instance (property injection)
+     * @param {string} name
+     * @param {*} value resolved the same way as the factory arguments
      * @return {Definition}
      */
-    getDefinition(serviceId) {
-        let definition = this._definitions.get(serviceId);
+    property(name, value) {
+        ensureNotFrozen(this.container, `set property of service "${this.ID}"`);
+        this.properties[name] = value;
+        return this;
+    }
 
-        if (!definition) {
-            throw new Error(`Service with name ${serviceId} is not defined in container.`);
+    /**
+     * Validates every created instance of the service against Joi schema after extenders are applied.
+     * Plain values are validated on compile() already.
+     * @param {Object} schema Joi schema or a literal compilable by Joi.compile()
+     * @param {Object} [options]
+     * @param {boolean} [options.coerce=false] whether to use the value converted by the schema, e.g. with defaults
+     * @return {Definition}
+     */
+    schema(schema, {coerce = false} = {}) {
+        ensureNotFrozen(this.container, `set schema of service "${this.ID}"`);
+
+        this.validation = {schema: Joi.compile(schema), coerce};
+        return this;
+    }
+
+    /**
+     * Replaces arguments passed to the factory, compiler passes are the place to wire them
+     * @param {...*} args
+     * @return {Definition}
+     */
+    setArguments(...args) {
+        ensureNotFrozen(this.container, `change arguments of service "${this.ID}"`);
+        this.args = args;
+        return this;
+    }
+
+    /**
+     * Replaces arguments of the class with references to services named by its static inject property
+     * or by its constructor parameters
+     * @param {Object} [overrides] arguments to use instead of references keyed by dependency name
+     * @return {Definition}
+     */
+    autowire(overrides = {}) {
+        if (this.type !== 'class') {
+            throw new Error(`Service "${this.ID}" is not a class and can not be autowired.`);
         }
 
-        return definition;
+        const dependencies = _.isArray(this.raw.inject) ? this.raw.inject : parameterNames(this.raw);
+        this.autowired = _.filter(dependencies, dependency => !_.has(overrides, dependency));
+
+        return this.setArguments(..._.map(
+            dependencies,
+            dependency => _.has(overrides, dependency) ? overrides[dependency] : ref(dependency)
+        ));
     }
 
     /**
-     * @param {string} serviceId
-     * @param {Definition} definition
-     * @param {...definitionConfiguratorCallback} [configurators]
-     * @return {Pimple}
+     * @param {Pimple} container
      */
-    setRaw(serviceId, definition, ...configurators) {
-        if (!definition instanceof Definition) {
-            throw new Error('Raw definition should be an instance of Definition.');
+    checkAutowired(container) {
+        const missing = _.reject(this.autowired, dependency => isDefined(container, dependency));
+
+        if (!_.isEmpty(missing)) {
+            throw new Error(
+                `Service "${this.ID}" can not be autowired. Not defined dependencies: "${missing.join('", "')}".`
+            );
         }
+    }
 
-        definition.compile(serviceId);
+    /**
+     * @return {Array<string>} ids of services referenced by the arguments
+     */
+    references() {
+        return _.uniq(collectReferences([this.args, _.map(this.calls, 1), this.properties]));
+    }
 
-        this._definitions.set(serviceId, definition);
+    /**
+     * @return {Array<string>} ids of services declared as arguments or required while resolving the service
+     */
+    dependencies() {
+        return _.union(this.references(), Array.from(this.resolved));
+    }
 
-        if (!this.isReserved(serviceId)) {
-            Object.defineProperty(this, serviceId, {
-                get: () => {
-                    return this.get(serviceId);
-                },
-                configurable: true,
-                enumerable: true
-            });
+    /**
+     * Container itself passed as context or argument is replaced with the container resolving the service
+     * @param {Pimple} container
+     * @return {Array}
+     */
+    arguments(container = this.container) {
+        this.checkAutowired(container);
+
+        return _.map(this.args, (arg) => {
+            if (arg instanceof Definition) {
+                return arg.resolve(container);
+            }
+
+            return arg === this.container ? container : this.resolveArgument(arg, container);
+        });
+    }
+
+    /**
+     * @param {*} arg
+     * @param {Pimple} container
+     * @return {*} argument with references, and placeholders if interpolated, resolved deeply in arrays and plain objects
+     */
+    resolveArgument(arg, container) {
+        if (arg instanceof Reference) {
+            return container.get(arg.id);
         }
 
-        /**
-         * A callback to additionally configure service on it's registration
-         * @callback definitionConfiguratorCallback
-         * @param {Definition} definition currently registered definition of service
-         * @param {Pimple} container
-         */
-        if (!_.isEmpty(configurators)) {
-            _.over([...configurators])(definition, this);
+        if (_.isArray(arg) || _.isPlainObject(arg)) {
+            let changed = false;
+            const resolved = (_.isArray(arg) ? _.map : _.mapValues)(arg, item => {
+                const resolvedItem = this.resolveArgument(item, container);
+                changed = changed || resolvedItem !== item;
+                return resolvedItem;
+            });
+
+            return changed ? resolved : arg;
         }
 
-        return this;
+        return this._interpolated ? container.resolveParameters(arg, this.ID) : arg;
     }
 
     /**
-     * Sets service as singleton of. While getting the service by its id the same instance will be returned always
-     * @param {string} serviceId
-     * @param {Function|Object|any} definition
-     * @param {...definitionConfiguratorCallback} [configures]
+     * Asynchronous version of arguments() awaiting referenced services by getAsync()
+     * @param {Pimple} container
+     * @return {Promise<Array>}
      */
-    setShared(serviceId, definition, ...configures) {
-        const def = this.create(definition);
-        def.shared = true;
-        this.setRaw(serviceId, def, ...configures);
+    argumentsAsync(container = this.container) {
+        this.checkAutowired(container);
+
+        return Promise.all(_.map(this.args, (arg) => {
+            if (arg instanceof Definition) {
+                return arg.resolveAsync(container);
+            }
+
+            return arg === this.container ? container : this.resolveArgumentAsync(arg, container);
+        }));
     }
 
     /**
-     * use a function to register a set of definitions
-     * @param {Function} definitionProvider
-     * @returns {*}
+     * @param {*} arg
+     * @param {Pimple} container
+     * @return {Promise<*>}
      */
-    register(definitionProvider) {
-        return definitionProvider(this);
+    async resolveArgumentAsync(arg, container) {
+        if (arg instanceof Reference) {
+            return container.getAsync(arg.id);
+        }
+
+        if (_.isArray(arg)) {
+            return Promise.all(_.map(arg, item => this.resolveArgumentAsync(item, container)));
+        }
+
+        if (_.isPlainObject(arg)) {
+            const values = await Promise.all(_.map(arg, item => this.resolveArgumentAsync(item, container)));
+            return _.zipObject(_.keys(arg), values);
+        }
+
+        return this._interpolated ? container.resolveParameters(arg, this.ID) : arg;
     }
 
     /**
-     * @param {Object|Function} definition
-     * @param {Object} [context={Pimple}] Context to bing as this arg to a factory
-     * @param [argument={Pimple}] arguments to pass to a factory callback or instance constructor
+     * Points at the module exporting the class or the factory, so the service can be dumped by dump()
+     * @param {string} modulePath resolvable by require() of the dumped module, absolute paths are made relative
+     * @param {string} [exportName] property of the module exports, the module itself by default
      * @return {Definition}
      */
-    create(definition, context, argument) {
-        return new Definition(definition, this, context || this, argument || this);
+    setOrigin(modulePath, exportName) {
+        this.origin = {module: modulePath, export: exportName};
+        return this;
     }
 
-    tag(service, ...tags) {
-        _.forEach(tags, tag => {
-            const plainTag = normalizeTag(tag);
-            let tagged, tagsIn;
-            if (!this._tags.has(plainTag.name)) {
-                tagged = new Map();
-                this._tags.set(plainTag.name, tagged);
-            } else {
-                tagged = this._tags.get(plainTag.name)
-            }
+    /**
+     * Makes the definition a branch of the service chosen when all the conditions match container parameters.
+     * The unconditional definition of the service is used when no branch matches.
+     * @param {Object|Function} condition parameter values keyed by names where arrays list the allowed values,
+     * e.g. {env: ['dev', 'test']}, or a predicate of parameters object, e.g. params => params.features.mailer
+     * @return {Definition}
+     */
+    when(condition) {
+        ensureNotFrozen(this.container, `set condition of service "${this.ID}"`);
 
-            if (!tagged.has(service)) {
-                tagsIn = [];
-                tagged.set(service, tagsIn)
-            } else {
-                tagsIn = tagged.get(service);
-            }
+        if (!_.isFunction(condition) && !_.isPlainObject(condition)) {
+            throw new Error(`Condition of service "${this.ID}" should be a plain object or a function.`);
+        }
 
-            tagsIn.push(plainTag);
-        });
+        this.conditions.push(condition);
         return this;
     }
 
     /**
-     * Retrieve a Map where serviceIds are service serviceIds and values are all matched tags defined for the service.
-     * @param {string} tagName
-     * @return {Map<service, Array>}
+     * @return {boolean}
      */
-    getTag(tagName) {
-        return this._tags.has(tagName) ? this._tags.get(tagName) : new Map();
+    get conditional() {
+        return !_.isEmpty(this.conditions);
     }
 
     /**
-     * @param {string} tagName
-     * @param {object|array} [sortOptions] an options to sort tagged services by (example: {field: 'priority', order: -1} or ['priority', -1])
-     * @param {string} [sortOptions.field] a field in tag object to get sort index from
-     * @param {number} [sortOptions.order] positive or negative 1 (-1 or 1) to determine order vector.
-     * @param {Function<serviceName,tag>}callback
+     * @return {string} human readable conditions
      */
-    overTags(tagName, sortOptions, callback) {
-        if (_.isFunction(arguments[1])) {
-            callback = arguments[1];
-            sortOptions = undefined;
+    get condition() {
+        return _.map(this.conditions, describeCondition).join(' and ');
+    }
+
+    /**
+     * @param {Pimple} container
+     * @return {boolean} whether all the conditions match parameters of the container
+     */
+    matches(container) {
+        return _.every(this.conditions, condition => conditionMatches(condition, container));
+    }
+
+    /**
+     * Sets how runtime arguments are identified while caching instances of shared and scoped services
+     * @param {Function} callback returning a primitive key for the array of runtime arguments. By default plain data
+     * arguments are compared by content and the other objects by identity.
+     * @return {Definition}
+     */
+    cacheKey(callback) {
+        ensureNotFrozen(this.container, `set cache key of service "${this.ID}"`);
+        this.argumentsKey = callback;
+        return this;
+    }
+
+    /**
+     * @param {*} instance
+     * @return {*} the instance or its coerced copy
+     */
+    validate(instance) {
+        if (!this.validation) {
+            return instance;
         }
 
-        if (sortOptions) {
-            if (_.isArray(sortOptions)) {
-                sortOptions = {
-                    field: sortOptions[0],
-                    order: sortOptions[1]
-                }
-            }
+        const {value, problems} = validate(instance, this.validation);
 
-            Joi.validate(
-                sortOptions,
-                Joi.object().keys({
-                    field: Joi.string().required(),
-                    order: Joi.number().min(-1).max(1).invalid(0).required()
-                }),
-                err => {
-                    if (err) {
-                        throw err;
-                    }
-                }
-            );
+        if (!_.isEmpty(problems)) {
+            throw new Error(`Service "${this.ID}" is invalid: ${problems.join('; ')}.`);
+        }
 
-            this.getSortedTags(tagName, (tagMap) => {
-                let pairs = [];
-                tagMap.forEach((tags, taggedService) => {
-                    tags.forEach(tag => {
-                        pairs.push([taggedService, tag])
-                    })
-                });
+        return this.validation.coerce ? value : instance;
+    }
 
-                return pairs.sort(([serviceA, tagA], [serviceB, tagB]) => {
-                    let v1 = _.get(tagA, sortOptions.field, 0);
-                    let v2 = _.get(tagB, sortOptions.field, 0);
-                    if (v1 < v2) {
-                        return -1 * sortOptions.order;
-                    }
+    /**
+     * @param {Pimple} container
+     * @return {Array<string>} labels of the service in the order their callbacks run
+     */
+    orderedLabels(container) {
+        if (this.labels.size === 0) {
+            return [];
+        }
+
+        return orderLabels(Array.from(this.labels), label => container.getLabelOptions(label), this.ID);
+    }
+
+    /**
+     * @param {*} instance
+     * @param {Pimple} container
+     * @return {*} the instance or the one returned by a replacing label
+     */
+    applyLabels(instance, container) {
+        return _.reduce(this.orderedLabels(container), (current, label) => {
+            const callback = container.getLabel(label);
+
+            if (callback.constructor.name === 'AsyncFunction') {
+                throw new Error(`Label "${label}" of service "${this.ID}" has an async callback. Use getAsync() to resolve it.`);
+            }
+
+            let result;
+            try {
+                result = callback.apply(this, [current, container, this.ID]);
+            } catch (e) {
+                throw labelError(e, this.ID, label);
+            }
+
+            return container.getLabelOptions(label).replace && result !== undefined ? result : current;
+        }, instance);
+    }
 
-                    return v1 > v2 ? 1 * sortOptions.order : 0
-                });
-            }).forEach(([taggedServiceName, tag]) => callback(taggedServiceName, tag))
+    /**
+     * @param {*} instance
+     * @param {Pimple} container
+     * @return {Promise<*>}
+     */
+    async applyLabelsAsync(instance, container) {
+        for (const label of this.orderedLabels(container)) {
+            const callback = container.getLabel(label);
 
-        } else {
-            this.getTag(tagName).forEach((tags, taggedServiceName) => {
-                tags.forEach((tag) => {
-                    callback(taggedServiceName, tag)
-                })
-            })
+            let result;
+            try {
+                result = await callback.apply(this, [instance, container, this.ID]);
+            } catch (e) {
+                throw labelError(e, this.ID, label);
+            }
+
+            instance = container.getLabelOptions(label).replace && result !== undefined ? result : instance;
         }
+
+        return instance;
     }
 
     /**
-     * @param {string} tagName
-     * @param {function} sortFunction
-     * @return {Array<[serviceName, tag]>}
+     * @param {Pimple} container resolving the service
+     * @return {Array<Object>} interceptors of the container and its parents matching the service or its aliases,
+     * the outermost first
      */
-    getSortedTags(tagName, sortFunction) {
-        return sortFunction(this.getTag(tagName))
+    interceptorsOf(container) {
+        const interceptors = [];
+        for (let current = container; current; current = current._parent) {
+            interceptors.push(...current._interceptors);
+        }
+
+        if (interceptors.length === 0) {
+            return interceptors;
+        }
+
+        const ids = idsOf(container, this.ID);
+        const matching = _.filter(interceptors, ({target}) => {
+            return (target.id === undefined || _.includes(ids, target.id))
+                && (target.tag === undefined || _.some(ids, id => container.getTag(target.tag).has(id)))
+                && (target.label === undefined || this.labels.has(target.label));
+        });
+
+        return _.sortBy(matching, ({priority}) => -priority);
     }
 
     /**
-     * labels specific service to execute labeled callback whenever service instantiated
-     * @param {string} serviceId A serviceId of service to addLabel
-     * @param {string} labels labels to addLabel with
-     * @return {Pimple}
+     * @param {*} instance
+     * @param {Pimple} container
+     * @return {*} the instance or its proxy calling the methods through interceptors
      */
-    addLabel(serviceId, ...labels) {
-        const rawDef = this.getDefinition(serviceId);
-        _.forEach(labels, label => rawDef.label(label));
-        return this;
+    applyInterceptors(instance, container) {
+        if (!_.isObject(instance) || !container._intercepting) {
+            return instance;
+        }
+
+        const interceptors = this.interceptorsOf(container);
+        return _.isEmpty(interceptors) ? instance : createInterceptedProxy(instance, interceptors, this.ID);
     }
 
     /**
-     * Define
-     * @param {string} label
-     * @param {Function<service, Pimple>} callback
-     * @return {Pimple}
+     * Sets properties and calls methods of the created instance
+     * @param {*} instance
+     * @param {Pimple} container
+     * @return {*}
      */
-    defineLabel(label, callback) {
-        this._labels.set(label, callback);
-        return this;
+    inject(instance, container) {
+        _.forOwn(this.properties, (value, name) => {
+            instance[name] = this.resolveArgument(value, container);
+        });
+        _.forEach(this.calls, ([method, args]) => {
+            this.method(instance, method).apply(instance, this.resolveArgument(args, container));
+        });
+        return instance;
     }
 
-    getLabel(label) {
-        if (!this._labels.has(label)) {
-            throw new Error(
-                `Pimple label "${label}" callback is not defined but service is labeled wih it.`
-            );
+    /**
+     * Asynchronous version of inject() awaiting referenced services and async methods
+     * @param {*} instance
+     * @param {Pimple} container
+     * @return {Promise<*>}
+     */
+    async injectAsync(instance, container) {
+        for (const name of _.keys(this.properties)) {
+            instance[name] = await this.resolveArgumentAsync(this.properties[name], container);
         }
 
-        return this._labels.get(label);
-    }
+        for (const [method, args] of this.calls) {
+            await this.method(instance, method).apply(instance, await this.resolveArgumentAsync(args, container));
+        }
 
-    isReserved(serviceId) {
-        return this._reserved.indexOf(serviceId) !== -1;
+        return instance;
     }
-}
 
-/**
- * @class Definition
- */
-class Definition {
-    constructor(definition, container, context, ...args) {
-        this.container = container;
-        this._shared = false;
-        this.labels = new Set([]);
-        this.context = context;
-        this.args = args;
-        this.raw = this.configure(definition);
+    method(instance, method) {
+        if (!_.isFunction(_.get(instance, method))) {
+            throw new Error(`Service "${this.ID}" has no method "${method}" to call.`);
+        }
+
+        return instance[method];
     }
 
-    set shared(val) {
-        this._shared = val;
+    /**
+     * @param {Pimple} container
+     * @return {Object}
+     */
+    contextOf(container) {
+        return this.context === this.container ? container : this.context;
     }
 
-    get id() {
-        if (!this.ID) {
-            throw new Error('Service is not correctly compiled. No identifier specified.');
+    /**
+     * Container keeping the instance: the defining one for shared services, the resolving one for scoped
+     * @param {Pimple} container
+     * @return {Pimple|undefined} nothing for transient services
+     */
+    ownerOf(container) {
+        if (this._shared) {
+            return this.container;
         }
-        return this.ID;
+
+        return this._scoped ? container : undefined;
     }
 
-    configure(definition) {
-        if (definition instanceof Definition) {
-            this.context = definition.context;
-            this.args = definition.args;
-            definition = definition.resolve;
-        }
+    wrap(resolve) {
+        const create = (container, runtimeArgs) => {
+            if (this.async) {
+                throw new Error(`Service "${this.ID}" has an async factory. Use getAsync() to resolve it.`);
+            }
 
-        return definition;
+            const created = runtimeArgs.length === 0
+                ? resolve(container)
+                : resolve(container, [...this.arguments(container), ...runtimeArgs]);
+            let instance = this.applyInterceptors(this.validate(_.reduce(
+                this.extenders,
+                (service, extender) => extender.apply(this, [service, container, this.ID]),
+                this.inject(created, container)
+            )), container);
+            return this.applyLabels(instance, container);
+        };
+
+        const instantiate = (container, runtimeArgs) => {
+            if (!this._lazy) {
+                return create(container, runtimeArgs);
+            }
+
+            return createLazyProxy(
+                () => this.guard(create)(container, runtimeArgs),
+                this.type === 'class' ? this.raw.prototype : Object.prototype
+            );
+        };
+
+        return (container, ...runtimeArgs) => {
+            const owner = this.ownerOf(container);
+
+            if (!owner) {
+                return instantiate(container, runtimeArgs);
+            }
+
+            const key = this.keyOf(runtimeArgs);
+
+            if (!owner._instances.has(key)) {
+                if (owner._pending.has(key)) {
+                    throw new Error(`Service "${this.ID}" is being resolved asynchronously. Use getAsync() to resolve it.`);
+                }
+
+                owner._instances.set(key, instantiate(owner, runtimeArgs));
+            }
+
+            return owner._instances.get(key);
+        };
     }
 
     /**
-     * @param {string} name label name to set for the Definition
-     * @param {Function} [labelToDefine] adds possibility to define common callback for the label in Pimple
-     * @return {Definition}
+     * @param {Function} resolve
+     * @param {Function} resolveSync resolves lazy services as they are proxied synchronously anyway
+     * @return {Function}
      */
-    label(name, labelToDefine) {
-        this.labels.add(name);
-        if (_.isFunction(labelToDefine)) {
-            this.container.defineLabel(name, labelToDefine);
-        }
-        return this;
+    wrapAsync(resolve, resolveSync) {
+        const create = async (container, runtimeArgs) => {
+            const args = this.invokable ? [...await this.argumentsAsync(container), ...runtimeArgs] : undefined;
+            let instance = await resolve(container, args);
+            instance = await this.injectAsync(instance, container);
+
+            for (const extender of this.extenders) {
+                instance = await extender.apply(this, [instance, container, this.ID]);
+            }
+
+            instance = this.applyInterceptors(this.validate(instance), container);
+
+            return this.applyLabelsAsync(instance, container);
+        };
+
+        return (container, ...runtimeArgs) => {
+            if (this._lazy) {
+                return new Promise(resolve => resolve(resolveSync(container, ...runtimeArgs)));
+            }
+
+            const owner = this.ownerOf(container);
+
+            if (!owner) {
+                return create(container, runtimeArgs);
+            }
+
+            const key = this.keyOf(runtimeArgs);
+
+            if (owner._instances.has(key)) {
+                return Promise.resolve(owner._instances.get(key));
+            }
+
+            if (!owner._pending.has(key)) {
+                // concurrent calls share the same construction, a failed one is evicted to be retried
+                owner._pending.set(key, create(owner, runtimeArgs).then(instance => {
+                    owner._instances.set(key, instance);
+                    owner._pending.delete(key);
+                    return instance;
+                }, error => {
+                    owner._pending.delete(key);
+                    throw error;
+                }));
+            }
+
+            return owner._pending.get(key);
+        };
     }
 
     /**
-     * Reverse method helper for Pimple to set tags on Definition directly
-     * @param tags
+     * Shared and scoped services are cached per set of runtime arguments identified by the key of cacheKey() callback
+     * @param {Array} runtimeArgs
+     * @return {Definition} the definition itself or its variant for the arguments to key the instances cache
      */
-    tags(...tags) {
-        this.container.tag(this.ID, ...tags);
-        return this;
+    keyOf(runtimeArgs) {
+        if (runtimeArgs.length === 0) {
+            return this;
+        }
+
+        const key = this.argumentsKey(runtimeArgs);
+
+        if (!this.variants.has(key)) {
+            this.variants.set(key, Object.create(this));
+        }
+
+        return this.variants.get(key);
     }
 
-    arguments() {
-        return _.map(this.args, (arg) => {
-            return arg instanceof Definition ? arg.resolve() : arg
-        });
+    /**
+     * Tracks the chain of services being resolved in the container and fails on the service requiring itself.
+     * The chain follows async factories while they are created and records services actually required by the resolved one.
+     * Frames end with the resolution, so callbacks scheduled by factories and run later are outside of the chain.
+     * @param {Function} resolve
+     * @param {boolean} [async=false] whether resolve returns a promise the frame lasts until it settles
+     * @return {Function} accepting the resolving container and runtime arguments
+     */
+    guard(resolve, async = false) {
+        return (container = this.container, ...runtimeArgs) => {
+            if (container.isDisposed()) {
+                throw new Error(`Container is disposed. Service "${this.ID}" can not be resolved.`);
+            }
+
+            if (runtimeArgs.length > 0 && !this.invokable) {
+                throw new Error(`Service "${this.ID}" is not a factory or a class. It does not accept runtime arguments.`);
+            }
+
+            const frames = activeFrames(container);
+            const index = _.findIndex(frames, ({definition}) => definition === this);
+
+            if (index !== -1) {
+                throw new CircularDependencyError(_.map([...frames.slice(index), {definition: this}], 'definition.ID'));
+            }
+
+            if (frames.length > 0) {
+                _.last(frames).definition.resolved.add(this.ID);
+            }
+
+            const frame = {definition: this, active: true};
+            const settle = () => {
+                frame.active = false;
+            };
+
+            // synchronous resolutions only need the stack, async continuations get their frames from the storage
+            if (!async) {
+                container._stack.push(frame);
+
+                try {
+                    return resolve(container, ...runtimeArgs);
+                } finally {
+                    settle();
+                    container._stack.pop();
+                }
+            }
+
+            // frames of the stack are passed to the storage, so they are not repeated while the stack is set aside
+            const stack = container._stack.splice(0);
+            let resolved;
+
+            try {
+                resolved = container._resolving.run([...frames, frame], resolve, container, ...runtimeArgs);
+            } catch (error) {
+                settle();
+                throw error;
+            } finally {
+                container._stack.push(...stack);
+            }
+
+            resolved.then(settle, settle);
+            return resolved;
+        };
     }
 
-    wrap(resolve) {
-        //todo add circular reference guard
+    /**
+     * Emits beforeResolve and afterResolve events with the resolution chain, the instance and the duration in ms.
+     * A failure is reported by the error event once, by the innermost service it passes through.
+     * @param {Function} resolve
+     * @param {boolean} [async=false] whether resolve returns a promise to wait for
+     * @return {Function}
+     */
+    instrument(resolve, async = false) {
+        return (container, ...runtimeArgs) => {
+            if (!isObserved(container)) {
+                return resolve(container, ...runtimeArgs);
+            }
 
-        let wrapped = _.wrap(resolve, (resolve) => {
-            let instance = resolve();
-            this.labels.forEach(label => {
-                this.container.getLabel(label).apply(this, [instance, this.container, this.ID]);
-            });
-            return instance;
-        });
+            const owner = this.ownerOf(container);
+            // transient services are not cached, so no variant is kept for their arguments
+            const key = owner && this.keyOf(runtimeArgs);
+            const payload = {
+                id: this.ID,
+                definition: this,
+                chain: _.map(activeFrames(container), 'definition.ID'),
+                cached: Boolean(owner) && (owner._instances.has(key) || owner._pending.has(key))
+            };
+            const start = performance.now();
 
-        if (this._shared) {
-            wrapped = _.once(wrapped)
-        }
+            const resolved = instance => {
+                emit(container, 'afterResolve', Object.assign({instance, duration: performance.now() - start}, payload));
+                return instance;
+            };
+            const failed = error => {
+                if (!_.isObject(error) || !reportedErrors.has(error)) {
+                    if (_.isObject(error)) {
+                        reportedErrors.add(error);
+                    }
+
+                    emit(container, 'error', Object.assign({error}, payload));
+                }
+
+                throw error;
+            };
 
-        return wrapped;
+            emit(container, 'beforeResolve', payload);
+
+            if (async) {
+                return resolve(container, ...runtimeArgs).then(resolved, failed);
+            }
+
+            let instance;
+            try {
+                instance = resolve(container, ...runtimeArgs);
+            } catch (error) {
+                failed(error);
+            }
+
+            return resolved(instance);
+        };
     }
 
     compile(serviceId) {
         this.ID = serviceId;
-        this.resolve = this.wrap(this.createResolver(this.raw));
+        const resolver = this.createResolver(this.raw);
+        const resolveSync = this.wrap(resolver);
+        this.resolve = this.guard(this.instrument(resolveSync));
+        this.resolveAsync = this.guard(this.instrument(this.wrapAsync(resolver, resolveSync), true), true);
     }
 
+    /**
+     * @param {*} definition
+     * @return {Function} resolver accepting the container and optionally already resolved arguments
+     */
     createResolver(definition) {
-        if (_.isFunction(definition)) {
-            return _.bind(definition, this.context, ...this.arguments());
+        const type = this.type;
+
+        if (type === 'protected') {
+            return _.constant(definition);
         }
 
+        if (type === 'class') {
+            return (container, args = this.arguments(container)) => new definition(...args);
+        }
+
+        if (type === 'factory') {
+            return (container, args = this.arguments(container)) => definition.apply(this.contextOf(container), args);
+        }
+
+        const interpolate = (container, value) => this._interpolated ? container.resolveParameters(value, this.ID) : value;
+
         if (_.isObject(definition)) {
-            return () => {
-                return this._shared ? definition : (this.container._deepClone ? _.cloneDeep(definition) : _.clone(definition))
+            return (container) => {
+                return interpolate(
+                    container,
+                    this._shared ? definition : (this.container._deepClone ? _.cloneDeep(definition) : _.clone(definition))
+                );
             }
         }
 
-        return _.constant(definition);
+        return (container) => interpolate(container, definition);
     }
 }
 
+/**
+ * Protects function from being treated as a factory so it is returned as is from the container
+ * @param {Function} callable
+ * @return {DefinitionValue}
+ */
+const protect = callable => {
+    if (!_.isFunction(callable)) {
+        throw new Error('Only functions can be protected.');
+    }
+
+    return new DefinitionValue(callable, 'protected');
+};
+
 /**
  * Labeling cb factory for configurator
  * @param {string} name name of the label
  * @param [callback] - define label callback for Pimple
+ * @param {LabelOptions} [options] options of the label defined with the callback
  * @return {definitionConfiguratorCallback}
  */
-exports.label = (name, callback) => {
+exports.label = (name, callback, options) => {
     return (def) => {
-        def.label(name, callback)
+        def.label(name, callback, options)
     }
 };
 
@@ -405,5 +2867,133 @@ exports.tag = (...tags) => {
     }
 };
 
+/**
+ * Disposer callback factory for configurator
+ * @param {serviceDisposerCallback} callback
+ * @return {definitionConfiguratorCallback}
+ */
+exports.onDispose = callback => {
+    return (def) => {
+        def.onDispose(callback);
+    }
+};
+
+/**
+ * Method call (setter injection) callback factory for configurator
+ * @param {string} method
+ * @param {...*} args
+ * @return {definitionConfiguratorCallback}
+ */
+exports.call = (method, ...args) => {
+    return (def) => {
+        def.call(method, ...args);
+    }
+};
+
+/**
+ * Property injection callback factory for configurator
+ * @param {string} name
+ * @param {*} value
+ * @return {definitionConfiguratorCallback}
+ */
+exports.property = (name, value) => {
+    return (def) => {
+        def.property(name, value);
+    }
+};
+
+/**
+ * Joi schema validation callback factory for configurator
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false]
+ * @return {definitionConfiguratorCallback}
+ */
+exports.schema = (schema, options) => {
+    return (def) => {
+        def.schema(schema, options);
+    }
+};
+
+/**
+ * Runtime arguments cache key callback factory for configurator
+ * @param {Function} callback
+ * @return {definitionConfiguratorCallback}
+ */
+exports.cacheKey = callback => {
+    return (def) => {
+        def.cacheKey(callback);
+    }
+};
+
+/**
+ * Autowiring callback factory for configurator
+ * @param {Object} [overrides] arguments to use instead of references keyed by dependency name
+ * @return {definitionConfiguratorCallback}
+ */
+exports.autowire = overrides => {
+    return (def) => {
+        def.autowire(overrides);
+    }
+};
+
+/**
+ * Lazy proxy callback factory for configurator
+ * @param {boolean} [enabled=true]
+ * @return {definitionConfiguratorCallback}
+ */
+exports.lazy = (enabled = true) => {
+    return (def) => {
+        def.lazy = enabled;
+    }
+};
+
+/**
+ * Parameters interpolation callback factory for configurator of values, arguments, calls and properties
+ * @param {boolean} [enabled=true]
+ * @return {definitionConfiguratorCallback}
+ */
+exports.interpolate = (enabled = true) => {
+    return (def) => {
+        def.interpolated = enabled;
+    }
+};
+
+/**
+ * Condition callback factory for configurator, also accepted by register() to apply to all the provided services
+ * @param {Object|Function} condition
+ * @return {definitionConfiguratorCallback}
+ */
+exports.when = condition => {
+    return Object.assign((def) => {
+        def.when(condition);
+    }, {condition});
+};
+
+/**
+ * Visibility callback factory for configurator
+ * @param {string} visibility "public" or "private"
+ * @return {definitionConfiguratorCallback}
+ */
+exports.visibility = visibility => {
+    return (def) => {
+        def.visibility = visibility;
+    }
+};
+
+exports.protect = protect;
+exports.isInitialized = isInitialized;
+exports.ref = ref;
+exports.toDot = toDot;
+exports.toJson = toJson;
+exports.dump = dump;
+exports.checkDump = checkDump;
+
 exports.Pimple = Pimple;
 exports.Definition = Definition;
+exports.Reference = Reference;
+exports.Profiler = Profiler;
+exports.ServiceLocator = ServiceLocator;
+exports.CircularDependencyError = CircularDependencyError;
+exports.DisposalError = DisposalError;
+exports.LabelError = LabelError;
@@ -0,0 +1,162 @@
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+// keywords after which a slash starts a regular expression rather than a division
+const KEYWORD_BEFORE_REGEXP = /(?:^|[^\w$])(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/;
+
+/**
+ * Thrown when the class source can not be read, e.g. it has unterminated strings or unbalanced brackets
+ * @class SourceError
+ */
+class SourceError extends Error {
+}
+
+/**
+ * @param {string} source
+ * @param {number} index of a slash which is not a comment
+ * @return {boolean} whether the slash starts a regular expression literal
+ */
+const startsRegExp = (source, index) => {
+    const before = source.slice(0, index).replace(/\s+$/, '');
+    return before === '' || /[(,=:[!&|?{};+\-*%<>~^]$/.test(before) || KEYWORD_BEFORE_REGEXP.test(before);
+};
+
+/**
+ * @param {string} source
+ * @param {number} index of the character to find the end of
+ * @return {number} index of the last character of the string, template, comment or regular expression
+ * starting at the index, the index itself for any other character
+ */
+const skipLiteral = (source, index) => {
+    const char = source[index];
+    let end = -1;
+
+    if (char === '/' && source[index + 1] === '/') {
+        end = source.indexOf('\n', index);
+        return end === -1 ? source.length - 1 : end;
+    }
+
+    if (char === '/' && source[index + 1] === '*') {
+        end = source.indexOf('*/', index + 2);
+        end = end === -1 ? -1 : end + 1;
+    } else if (char === '"' || char === '\'') {
+        for (let i = index + 1; i < source.length && end === -1; i++) {
+            if (source[i] === '\\') {
+                i++;
+            } else if (source[i] === char) {
+                end = i;
+            }
+        }
+    } else if (char === '`') {
+        for (let i = index + 1; i < source.length && end === -1; i++) {
+            if (source[i] === '\\') {
+                i++;
+            } else if (source[i] === '`') {
+                end = i;
+            } else if (source[i] === '$' && source[i + 1] === '{') {
+                i = closingOf(source, i + 1);
+            }
+        }
+    } else if (char === '/' && startsRegExp(source, index)) {
+        let inClass = false;
+
+        for (let i = index + 1; i < source.length && source[i] !== '\n' && end === -1; i++) {
+            if (source[i] === '\\') {
+                i++;
+            } else if (source[i] === '[' || source[i] === ']') {
+                inClass = source[i] === '[';
+            } else if (source[i] === '/' && !inClass) {
+                end = i;
+            }
+        }
+    } else {
+        return index;
+    }
+
+    if (end === -1) {
+        throw new SourceError(`unterminated ${char === '/' ? 'comment or regular expression' : 'string'}`);
+    }
+
+    return end;
+};
+
+/**
+ * @param {string} source
+ * @param {number} index of the opening bracket
+ * @return {number} index of the matching closing bracket
+ */
+const closingOf = (source, index) => {
+    let depth = 0;
+
+    for (let i = index; i < source.length; i++) {
+        i = skipLiteral(source, i);
+
+        if (OPENING.indexOf(source[i]) !== -1) {
+            depth++;
+        } else if (CLOSING.indexOf(source[i]) !== -1 && --depth === 0) {
+            return i;
+        }
+    }
+
+    throw new SourceError('unbalanced brackets');
+};
+
+/**
+ * @param {string} list source of the parameters list without the parentheses
+ * @return {Array<string>} source of each parameter with comments removed
+ */
+const splitParameters = list => {
+    const parameters = [''];
+
+    for (let i = 0; i < list.length; i++) {
+        const end = OPENING.indexOf(list[i]) !== -1 ? closingOf(list, i) : skipLiteral(list, i);
+        const comment = list[i] === '/' && (list[i + 1] === '/' || list[i + 1] === '*');
+
+        if (list[i] === ',') {
+            parameters.push('');
+        } else if (!comment) {
+            parameters[parameters.length - 1] += list.slice(i, end + 1);
+        }
+
+        i = end;
+    }
+
+    return parameters;
+};
+
+/**
+ * Reads parameters of the constructor declared as a member of the class body,
+ * so constructors called inside methods or mentioned in strings and comments do not match
+ * @param {string} source of the class
+ * @return {Array<string>|undefined} source of each parameter, nothing when the class has no own constructor
+ * @throws {SourceError} when the source can not be read
+ */
+exports.constructorParameters = source => {
+    const declaration = /constructor\s*\(/y;
+    let depth = 0;
+
+    for (let index = 0; index < source.length; index++) {
+        const end = skipLiteral(source, index);
+
+        if (end !== index) {
+            index = end;
+        } else if (source[index] === '{' || source[index] === '}') {
+            depth += source[index] === '{' ? 1 : -1;
+        } else if (depth === 1 && !/[\w$.]/.test(source[index - 1])) {
+            declaration.lastIndex = index;
+
+            if (declaration.test(source)) {
+                const open = declaration.lastIndex - 1;
+                return splitParameters(source.slice(open + 1, closingOf(source, open)));
+            }
+        }
+    }
+
+    if (depth !== 0) {
+        throw new SourceError('unbalanced braces');
+    }
+
+    return undefined;
+};
+
+exports.SourceError = SourceError;
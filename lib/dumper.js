@@ -0,0 +1,436 @@
+const _ = require('lodash');
+const path = require('path');
+const {Reference} = require('./reference');
+
+/**
+ * Thrown while generating code of a definition relying on something living in memory only
+ * @class UndumpableError
+ */
+class UndumpableError extends Error {
+}
+
+const indent = (code, spaces) => code.replace(/\n(?!\n)/g, `\n${' '.repeat(spaces)}`);
+
+/**
+ * Code of constants, references and the container itself
+ * @param {*} value
+ * @param {Pimple} container
+ * @param {Function} [resolveString] resolves parameter placeholders
+ * @return {string}
+ */
+const toSource = (value, container, resolveString = _.identity) => {
+    if (value === container) {
+        return 'container';
+    }
+
+    if (value instanceof Reference) {
+        return `container.get(${JSON.stringify(value.id)})`;
+    }
+
+    if (_.isString(value)) {
+        const resolved = resolveString(value);
+        return _.isString(resolved) ? JSON.stringify(resolved) : toSource(resolved, container);
+    }
+
+    if (_.isNumber(value) || _.isBoolean(value) || _.isNil(value)) {
+        return Object.is(value, -0) ? '-0' : String(value);
+    }
+
+    if (_.isArray(value)) {
+        return `[${_.map(value, item => toSource(item, container, resolveString)).join(', ')}]`;
+    }
+
+    if (_.isPlainObject(value)) {
+        const properties = _.map(value, (item, key) => `${JSON.stringify(key)}: ${toSource(item, container, resolveString)}`);
+        return `{${properties.join(', ')}}`;
+    }
+
+    throw new UndumpableError(`${_.isFunction(value) ? 'function' : 'object'} ${String(value)} is not a constant`);
+};
+
+/**
+ * @param {{module: string, export: (string|undefined)}} origin
+ * @param {string} [basePath] directory of the dumped module to make absolute paths relative to
+ * @return {string}
+ */
+const requireSource = (origin, basePath) => {
+    let modulePath = origin.module;
+
+    if (basePath && path.isAbsolute(modulePath)) {
+        modulePath = path.relative(basePath, modulePath).split(path.sep).join('/');
+        modulePath = _.startsWith(modulePath, '.') ? modulePath : `./${modulePath}`;
+    }
+
+    const required = `require(${JSON.stringify(modulePath)})`;
+    return origin.export === undefined ? required : `${required}[${JSON.stringify(origin.export)}]`;
+};
+
+/**
+ * @param {Pimple} container
+ * @param {Definition} definition
+ * @param {Object} options
+ * @return {string} body of create(container) function of the service
+ */
+const createSource = (container, definition, options) => {
+    const problems = _.compact([
+        definition.scoped && 'scoped services are not supported',
+        definition.lazy && 'lazy services are not supported',
+        definition.async && 'async factories are not supported',
+        !_.isEmpty(definition.extenders) && 'extenders are closures',
+        !_.isEmpty(definition.disposers) && 'disposers are closures',
+        definition.validation && 'schema validation is not supported',
+        !_.isEmpty(definition.interceptorsOf(container)) && 'interceptors are closures',
+        definition.context !== definition.container && 'factory context is bound to an object',
+        _.some(definition.args, arg => arg instanceof definition.constructor) && 'arguments are definitions',
+        _.some(definition.calls, ([method]) => !_.isString(method)) && 'called methods are closures'
+    ]);
+
+    if (!_.isEmpty(problems)) {
+        throw new UndumpableError(problems.join(', '));
+    }
+
+    const resolveString = definition.interpolated ? value => container.resolveParameters(value, definition.ID) : _.identity;
+    const args = _.map(definition.args, arg => toSource(arg, container, resolveString)).join(', ');
+    const lines = [];
+
+    if (definition.type === 'value') {
+        lines.push(`const instance = ${toSource(definition.raw, container, resolveString)};`);
+    } else if (!definition.origin) {
+        throw new UndumpableError(`${definition.type} is a closure with no origin module`);
+    } else {
+        const target = requireSource(definition.origin, options.basePath);
+        const creations = {
+            class: `new (${target})(${args})`,
+            factory: `${target}.call(${_.compact(['container', args]).join(', ')})`,
+            protected: target
+        };
+        lines.push(`const instance = ${creations[definition.type]};`);
+    }
+
+    _.forOwn(definition.properties, (value, name) => {
+        lines.push(`instance[${JSON.stringify(name)}] = ${toSource(value, container, resolveString)};`);
+    });
+    _.forEach(definition.calls, ([method, callArgs]) => {
+        const source = _.map(callArgs, arg => toSource(arg, container, resolveString)).join(', ');
+        lines.push(`container.method(instance, ${JSON.stringify(definition.ID)}, ${JSON.stringify(method)})(${source});`);
+    });
+
+    if (definition.labels.size > 0) {
+        const labels = JSON.stringify(_.map(definition.orderedLabels(container), label => {
+            return {label, replace: Boolean(container.getLabelOptions(label).replace)};
+        }));
+        lines.push(`return container.applyLabels(instance, this, ${labels});`);
+    } else {
+        lines.push('return instance;');
+    }
+    return lines.join('\n');
+};
+
+/**
+ * @param {Pimple} container
+ * @param {Object} options
+ * @return {{services: Array<string>, skipped: Object<string, string>, aliases: Object, tags: Object,
+ * parameters: Object, problems: Array<string>}}
+ */
+const collect = (container, options) => {
+    if (!container.isFrozen()) {
+        throw new Error('Container should be compiled before it is dumped.');
+    }
+
+    const definitions = new Map(container.entries());
+    const services = [];
+    const skipped = {};
+    const aliases = {};
+    const tags = {};
+    const parameters = {};
+    const problems = [];
+
+    _.forEach(container.parameterNames(), name => {
+        try {
+            parameters[name] = container.getParameter(name);
+            toSource(parameters[name], container);
+        } catch (e) {
+            delete parameters[name];
+            problems.push(`Parameter "${name}" can not be dumped: ${_.trimEnd(e.message, '.')}.`);
+        }
+    });
+
+    _.forEach(container.inspect(), service => {
+        const definition = definitions.get(service.id);
+
+        try {
+            const body = createSource(container, definition, options);
+            services.push([
+                `${JSON.stringify(service.id)}: {`,
+                `    id: ${JSON.stringify(service.id)},`,
+                `    shared: ${definition.shared},`,
+                `    private: ${definition.private},`,
+                `    create(container) {`,
+                `        ${indent(body, 8)}`,
+                '    }',
+                '}'
+            ].join('\n'));
+        } catch (e) {
+            if (!(e instanceof UndumpableError)) {
+                throw e;
+            }
+
+            skipped[service.id] = e.message;
+        }
+
+        _.forEach(service.aliases, aliasId => {
+            aliases[aliasId] = service.id;
+        });
+        _.forEach(service.tags, tag => {
+            try {
+                toSource(tag, container);
+                _.set(tags, [tag.name, service.id], [..._.get(tags, [tag.name, service.id], []), tag]);
+            } catch (e) {
+                skipped[service.id] = skipped[service.id] || `tag "${tag.name}" has ${e.message}`;
+            }
+        });
+    });
+
+    _.forEach(skipped, (reason, serviceId) => problems.push(`Service "${serviceId}" can not be dumped: ${reason}.`));
+
+    return {services, skipped, aliases, tags, parameters, problems};
+};
+
+/**
+ * Lists the problems preventing parameters and services of the compiled container from being dumped
+ * @param {Pimple} container
+ * @return {Array<string>}
+ */
+exports.checkDump = container => collect(container, {}).problems;
+
+const runtime = `
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const attribute = (object, path) => path.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+}, object);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const tagFilter = where => {
+    if (typeof where === 'function') {
+        return where;
+    }
+
+    return tag => Object.keys(where || {}).every(field => {
+        const condition = where[field];
+        const value = attribute(tag, field);
+
+        if (typeof condition === 'function') {
+            return condition(value, tag);
+        }
+
+        if (condition !== null && typeof condition === 'object' && hasOwn(condition, 'in')) {
+            return condition.in.some(expected => isEqual(value, expected));
+        }
+
+        return isEqual(value, condition);
+    });
+};
+
+const tagComparator = sort => {
+    const fields = [].concat(sort || []).map(spec => typeof spec === 'string'
+        ? {field: spec, order: 1, default: 0}
+        : Object.assign({order: 1, default: 0}, spec));
+
+    return ([, tagA], [, tagB]) => {
+        for (const {field, order, default: defaultValue} of fields) {
+            const a = attribute(tagA, field) === undefined ? defaultValue : attribute(tagA, field);
+            const b = attribute(tagB, field) === undefined ? defaultValue : attribute(tagB, field);
+            const direction = order === 'desc' || order === -1 ? -1 : 1;
+
+            if (a < b) {
+                return -direction;
+            }
+
+            if (a > b) {
+                return direction;
+            }
+        }
+
+        return 0;
+    };
+};
+
+/**
+ * Read-only counterpart of the container passed to the dumped factories
+ */
+class CompiledContainer {
+
+    /**
+     * @param {Object<string, Function>} [labels] label callbacks keyed by names
+     */
+    constructor(labels = {}) {
+        this._labels = labels;
+        this._instances = new Map();
+        this._resolving = [];
+    }
+
+    get(serviceId) {
+        const id = hasOwn(aliases, serviceId) ? aliases[serviceId] : serviceId;
+
+        if (hasOwn(skipped, id)) {
+            throw new Error(\`Service "\${id}" could not be dumped: \${skipped[id]}.\`);
+        }
+
+        if (!hasOwn(definitions, id)) {
+            throw new Error(\`Service with name \${serviceId} is not defined in container.\`);
+        }
+
+        const definition = definitions[id];
+
+        if (definition.private && this._resolving.length === 0) {
+            throw new Error(\`Service "\${id}" is private. It can only be injected into other services.\`);
+        }
+
+        const index = this._resolving.indexOf(id);
+        if (index !== -1) {
+            throw new Error(\`Circular dependency detected: \${[...this._resolving.slice(index), id].join(' -> ')}.\`);
+        }
+
+        if (definition.shared && this._instances.has(id)) {
+            return this._instances.get(id);
+        }
+
+        this._resolving.push(id);
+        try {
+            const instance = definition.create(this);
+
+            if (definition.shared) {
+                this._instances.set(id, instance);
+            }
+
+            return instance;
+        } finally {
+            this._resolving.pop();
+        }
+    }
+
+    getAsync(serviceId) {
+        return new Promise(resolve => resolve(this.get(serviceId)));
+    }
+
+    has(serviceId) {
+        const id = hasOwn(aliases, serviceId) ? aliases[serviceId] : serviceId;
+        return hasOwn(definitions, id) || hasOwn(skipped, id);
+    }
+
+    hasParameter(name) {
+        const [root] = name.split('.');
+        return hasOwn(parameters, root) && attribute(parameters, name) !== undefined;
+    }
+
+    getParameter(name) {
+        if (!this.hasParameter(name)) {
+            throw new Error(\`Parameter "\${name}" is not defined.\`);
+        }
+
+        return attribute(parameters, name);
+    }
+
+    keys() {
+        return [...Object.keys(definitions), ...Object.keys(skipped)];
+    }
+
+    getTag(tagName) {
+        const tagged = tags[tagName] || {};
+        return new Map(Object.keys(tagged).map(id => [id, tagged[id].map(tag => Object.assign({}, tag))]));
+    }
+
+    findTagged(tagName, options = {}) {
+        const matches = tagFilter(options.where);
+        const pairs = [];
+
+        this.getTag(tagName).forEach((serviceTags, serviceId) => {
+            serviceTags.forEach(tag => {
+                if (matches(tag, serviceId)) {
+                    pairs.push([serviceId, tag]);
+                }
+            });
+        });
+
+        return pairs.sort(tagComparator(options.sort));
+    }
+
+    getTagged(tagName, options) {
+        return this.taggedIds(tagName, options).map(serviceId => this.get(serviceId));
+    }
+
+    getTaggedAsync(tagName, options) {
+        return Promise.all(this.taggedIds(tagName, options).map(serviceId => this.getAsync(serviceId)));
+    }
+
+    taggedIds(tagName, options) {
+        return Array.from(new Set(this.findTagged(tagName, options).map(([serviceId]) => serviceId)));
+    }
+
+    getLabel(label) {
+        if (!hasOwn(this._labels, label)) {
+            throw new Error(\`Pimple label "\${label}" callback is not defined but service is labeled wih it.\`);
+        }
+
+        return this._labels[label];
+    }
+
+    applyLabels(instance, definition, labels) {
+        return labels.reduce((current, {label, replace}) => {
+            const callback = this.getLabel(label);
+            let result;
+
+            try {
+                result = callback.call(definition, current, this, definition.id);
+            } catch (e) {
+                throw new Error(\`Label "\${label}" failed for service "\${definition.id}": \${e.message}\`);
+            }
+
+            return replace && result !== undefined ? result : current;
+        }, instance);
+    }
+
+    method(instance, serviceId, method) {
+        if (!instance || typeof instance[method] !== 'function') {
+            throw new Error(\`Service "\${serviceId}" has no method "\${method}" to call.\`);
+        }
+
+        return instance[method].bind(instance);
+    }
+}
+
+module.exports = labels => new CompiledContainer(labels);
+module.exports.CompiledContainer = CompiledContainer;
+`;
+
+/**
+ * Generates CommonJS module creating a container with the services of the compiled one without running providers.
+ * Parameters are inlined, so env placeholders take the values of the dumping process. Classes and factories are
+ * required from their origin modules, label callbacks are passed by name to the function the module exports.
+ * Factories and labels get the read-only container: get(), getAsync(), has(), keys(), getParameter(), hasParameter(),
+ * getTag(), findTagged(), getTagged() and getTaggedAsync() behave as ones of Pimple, nothing else is available.
+ * Services which can not be dumped are reported as warnings and fail on get() of the generated container.
+ * @param {Pimple} container
+ * @param {Object} [options]
+ * @param {string} [options.basePath] directory the module is written to, origin paths are made relative to it
+ * @param {Function} [options.warn=process.emitWarning]
+ * @return {string}
+ */
+exports.dump = (container, options = {}) => {
+    const warn = options.warn || (message => process.emitWarning(message, 'DumpWarning'));
+    const {services, skipped, aliases, tags, parameters, problems} = collect(container, options);
+
+    _.forEach(problems, warn);
+
+    return [
+        '// Generated by the container dumper. Do not edit.',
+        `const definitions = {\n    ${indent(services.join(',\n'), 4)}\n};`,
+        `const skipped = ${JSON.stringify(skipped, null, 4)};`,
+        `const aliases = ${JSON.stringify(aliases, null, 4)};`,
+        `const tags = ${toSource(tags, container)};`,
+        `const parameters = ${toSource(parameters, container)};`,
+        runtime
+    ].join('\n\n');
+};
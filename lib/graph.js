@@ -0,0 +1,44 @@
+const _ = require('lodash');
+
+const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+const shapes = {
+    shared: 'box',
+    scoped: 'hexagon',
+    transient: 'ellipse'
+};
+
+/**
+ * Renders services described by Pimple.inspect() as Graphviz DOT digraph.
+ * Dependencies only declared by arguments and never resolved yet are dashed.
+ * @param {Array<ServiceInfo>} services
+ * @param {string} [name='container'] name of the graph
+ * @return {string}
+ */
+exports.toDot = (services, name = 'container') => {
+    const lines = [`digraph ${quote(name)} {`];
+
+    _.forEach(services, service => {
+        const tags = _.uniq(_.map(service.tags, 'name'));
+        const label = [service.id, service.lifetime, ...(_.isEmpty(tags) ? [] : [`#${tags.join(' #')}`])].join('\n');
+        lines.push(`    ${quote(service.id)} [label=${quote(label)}, shape=${shapes[service.lifetime]}];`);
+    });
+
+    _.forEach(services, service => {
+        _.forEach(service.dependencies, dependency => {
+            const style = _.includes(service.resolved, dependency) ? '' : ' [style=dashed]';
+            lines.push(`    ${quote(service.id)} -> ${quote(dependency)}${style};`);
+        });
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+};
+
+/**
+ * Renders services described by Pimple.inspect() as JSON
+ * @param {Array<ServiceInfo>} services
+ * @param {number} [space=2]
+ * @return {string}
+ */
+exports.toJson = (services, space = 2) => JSON.stringify({services}, null, space);
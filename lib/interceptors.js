@@ -0,0 +1,77 @@
+const _ = require('lodash');
+
+/**
+ * @typedef {Object} Invocation
+ * @property {string} serviceId
+ * @property {Object} instance the intercepted service itself
+ * @property {string} method
+ * @property {Array} args
+ * @property {Function} proceed calls the next interceptor or the method, with the original args if none given
+ */
+
+/**
+ * @param {{methods: (Array<string>|RegExp|undefined)}} interceptor
+ * @param {string} method
+ * @return {boolean}
+ */
+const interceptsMethod = ({methods}, method) => {
+    if (methods === undefined) {
+        return true;
+    }
+
+    return _.isRegExp(methods) ? methods.test(method) : _.includes(methods, method);
+};
+
+/**
+ * Wraps methods of the service by interceptors. The first interceptor is the outermost one.
+ * Methods are called on the service itself, so calls of its own methods from inside are not intercepted.
+ * @param {Object} instance
+ * @param {Array<{callback: Function, methods: *}>} interceptors
+ * @param {string} serviceId
+ * @return {Proxy}
+ */
+exports.createInterceptedProxy = (instance, interceptors, serviceId) => {
+    const wrapped = new Map();
+
+    const wrap = (method, original) => {
+        const matching = _.filter(interceptors, interceptor => interceptsMethod(interceptor, method));
+
+        // bound as private fields and internal slots are not reachable through the proxy
+        if (_.isEmpty(matching)) {
+            return original.bind(instance);
+        }
+
+        const invoke = _.reduceRight(
+            matching,
+            (next, {callback}) => args => callback({
+                serviceId,
+                instance,
+                method,
+                args,
+                proceed: (...proceedArgs) => next(_.isEmpty(proceedArgs) ? args : proceedArgs)
+            }),
+            args => original.apply(instance, args)
+        );
+
+        return function (...args) {
+            return invoke(args);
+        };
+    };
+
+    return new Proxy(instance, {
+        get: (target, property) => {
+            const value = Reflect.get(target, property);
+
+            if (!_.isString(property) || property === 'constructor' || !_.isFunction(value)) {
+                return value;
+            }
+
+            // the same function is returned until the method is replaced
+            if (!wrapped.has(property) || wrapped.get(property).original !== value) {
+                wrapped.set(property, {original: value, method: wrap(property, value)});
+            }
+
+            return wrapped.get(property).method;
+        }
+    });
+};
@@ -0,0 +1,54 @@
+const _ = require('lodash');
+
+/**
+ * @typedef {Object} LabelOptions
+ * @property {number} [priority=0] labels with higher priority run first
+ * @property {Array<string>} [before] labels to run after this one when the service has them
+ * @property {Array<string>} [after] labels to run before this one when the service has them
+ * @property {boolean} [replace=false] whether the value returned by the callback replaces the service instance
+ */
+
+/**
+ * Orders labels of the service satisfying before/after constraints first, then by priority
+ * and then keeping the order the labels were added to the service in.
+ * @param {Array<string>} labels
+ * @param {function(string): LabelOptions} optionsOf
+ * @param {string} serviceId
+ * @return {Array<string>}
+ */
+exports.orderLabels = (labels, optionsOf, serviceId) => {
+    const options = new Map(_.map(labels, label => [label, optionsOf(label)]));
+    const successors = new Map(_.map(labels, label => [label, new Set()]));
+    const link = (first, second) => {
+        if (successors.has(first) && successors.has(second)) {
+            successors.get(first).add(second);
+        }
+    };
+
+    options.forEach(({before = [], after = []}, label) => {
+        _.forEach(_.castArray(before), other => link(label, other));
+        _.forEach(_.castArray(after), other => link(other, label));
+    });
+
+    const predecessors = new Map(_.map(labels, label => [label, 0]));
+    successors.forEach(next => next.forEach(label => predecessors.set(label, predecessors.get(label) + 1)));
+
+    const remaining = _.sortBy(labels, label => -(options.get(label).priority || 0));
+    const ordered = [];
+
+    while (!_.isEmpty(remaining)) {
+        const index = _.findIndex(remaining, label => predecessors.get(label) === 0);
+
+        if (index === -1) {
+            throw new Error(
+                `Labels "${remaining.join('", "')}" of service "${serviceId}" have circular before/after constraints.`
+            );
+        }
+
+        const [label] = remaining.splice(index, 1);
+        ordered.push(label);
+        successors.get(label).forEach(next => predecessors.set(next, predecessors.get(next) - 1));
+    }
+
+    return ordered;
+};
@@ -0,0 +1,55 @@
+const _ = require('lodash');
+
+const states = new WeakMap();
+
+/**
+ * Creates a proxy instantiating the real service on the first access to its properties or methods.
+ * instanceof checks against the prototype given do not instantiate the service.
+ * Reading "then" of not initialized proxy gives undefined, so the proxy can be returned from promises.
+ * @param {Function} initialize callback creating the real service
+ * @param {Object} [prototype=Object.prototype] prototype of the expected service
+ * @return {Proxy}
+ */
+exports.createLazyProxy = (initialize, prototype = Object.prototype) => {
+    const state = {initialized: false, instance: undefined};
+    const real = () => {
+        if (!state.initialized) {
+            state.instance = initialize();
+            state.initialized = true;
+        }
+
+        return state.instance;
+    };
+
+    const proxy = new Proxy(Object.create(prototype), {
+        get: (target, property) => {
+            if (property === 'then' && !state.initialized) {
+                return undefined;
+            }
+
+            const instance = real();
+            const value = Reflect.get(instance, property);
+
+            return _.isFunction(value) ? value.bind(instance) : value;
+        },
+        set: (target, property, value) => Reflect.set(real(), property, value),
+        has: (target, property) => Reflect.has(real(), property),
+        deleteProperty: (target, property) => Reflect.deleteProperty(real(), property),
+        ownKeys: () => Reflect.ownKeys(real()),
+        defineProperty: (target, property, descriptor) => Reflect.defineProperty(real(), property, descriptor),
+        getOwnPropertyDescriptor: (target, property) => {
+            const descriptor = Reflect.getOwnPropertyDescriptor(real(), property);
+            return descriptor && Object.assign(descriptor, {configurable: true});
+        },
+        getPrototypeOf: () => state.initialized ? Reflect.getPrototypeOf(state.instance) : prototype
+    });
+
+    states.set(proxy, state);
+    return proxy;
+};
+
+/**
+ * @param {*} value
+ * @return {boolean} false for lazy proxy which real service is not created yet, true for anything else
+ */
+exports.isInitialized = value => !states.has(value) || states.get(value).initialized;
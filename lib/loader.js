@@ -0,0 +1,191 @@
+const _ = require('lodash');
+const Joi = require('joi');
+const path = require('path');
+const {ref} = require('./reference');
+
+const tagSchema = Joi.alternatives().try(
+    Joi.string(),
+    Joi.object().keys({name: Joi.string().required()}).unknown()
+);
+
+const serviceSchema = Joi.object().keys({
+    class: Joi.string(),
+    factory: Joi.string(),
+    value: Joi.any(),
+    arguments: Joi.array(),
+    calls: Joi.array().items(Joi.array().ordered(Joi.string().required()).items(Joi.any())),
+    properties: Joi.object(),
+    shared: Joi.boolean(),
+    scoped: Joi.boolean(),
+    lazy: Joi.boolean(),
+    visibility: Joi.string().valid('public', 'private'),
+    when: Joi.object(),
+    tags: Joi.array().items(tagSchema).single(),
+    labels: Joi.array().items(Joi.string()).single()
+}).xor('class', 'factory', 'value').without('value', ['arguments', 'calls', 'properties']).without('shared', 'scoped');
+
+const configSchema = Joi.object().keys({
+    imports: Joi.array().items(Joi.string()),
+    parameters: Joi.object(),
+    services: Joi.object().pattern(/.*/, serviceSchema)
+});
+
+/**
+ * Error pointing at the configuration source and the service key which can not be loaded
+ * @param {string} source
+ * @param {string|undefined} serviceId
+ * @param {string} message
+ * @return {Error}
+ */
+const configError = (source, serviceId, message) => new Error(
+    `Invalid container configuration in ${source}${serviceId !== undefined ? ` for service "${serviceId}"` : ''}: ${message}`
+);
+
+/**
+ * Converts "@serviceId" strings to references, "@@" escapes the leading "@"
+ * @param {*} argument
+ * @return {*}
+ */
+const parseArgument = argument => {
+    if (_.isString(argument) && _.startsWith(argument, '@')) {
+        return _.startsWith(argument, '@@') ? argument.slice(1) : ref(argument.slice(1));
+    }
+
+    if (_.isArray(argument)) {
+        return _.map(argument, parseArgument);
+    }
+
+    if (_.isPlainObject(argument)) {
+        return _.mapValues(argument, parseArgument);
+    }
+
+    return argument;
+};
+
+/**
+ * Requires "path/to/module#exportName" relative to the configuration directory
+ * @param {string} target
+ * @param {string} basePath
+ * @return {{value: *, origin: {module: string, export: (string|undefined)}}}
+ */
+const requireTarget = (target, basePath) => {
+    const [modulePath, exportName] = target.split('#');
+    const resolved = require.resolve(modulePath, {paths: [basePath]});
+    const loaded = require(resolved);
+    const origin = {module: resolved, export: exportName};
+
+    if (exportName === undefined) {
+        return {value: loaded, origin};
+    }
+
+    if (!_.has(loaded, exportName)) {
+        throw new Error(`Module "${modulePath}" has no export "${exportName}".`);
+    }
+
+    return {value: loaded[exportName], origin};
+};
+
+const createDefinition = (container, serviceId, service, basePath, source) => {
+    if (_.has(service, 'value')) {
+        return container.create(service.value);
+    }
+
+    let target, origin;
+    try {
+        ({value: target, origin} = requireTarget(service.class || service.factory, basePath));
+    } catch (e) {
+        throw configError(source, serviceId, e.message);
+    }
+
+    if (!_.isFunction(target)) {
+        throw configError(source, serviceId, `"${service.class || service.factory}" is not a function.`);
+    }
+
+    const factory = service.class ? container.constructor.class(target) : container.constructor.factory(target);
+
+    const definition = container.create(factory).setOrigin(origin.module, origin.export);
+
+    return service.arguments ? definition.setArguments(...parseArgument(service.arguments)) : definition;
+};
+
+/**
+ * Registers parameters and services described by plain configuration object
+ * @param {Pimple} container
+ * @param {Object} config
+ * @param {Object} [options]
+ * @param {string} [options.basePath=process.cwd()] directory to resolve module paths and imports against
+ * @param {string} [options.source] name of the configuration to point at in errors
+ * @param {Set<string>} [options.loaded] files already loaded to skip repeated imports
+ * @return {Pimple}
+ */
+const load = (container, config, options = {}) => {
+    const basePath = options.basePath || process.cwd();
+    const source = options.source || 'configuration object';
+    const loaded = options.loaded || new Set();
+    const {error, value} = Joi.validate(config, configSchema);
+
+    if (error) {
+        const detail = _.head(error.details);
+        const [section, serviceId] = detail.path;
+        throw configError(source, section === 'services' ? serviceId : undefined, detail.message);
+    }
+
+    _.forEach(value.imports, file => loadFile(container, path.resolve(basePath, file), loaded));
+
+    _.forOwn(value.parameters, (parameter, name) => container.setParameter(name, parameter));
+
+    _.forOwn(value.services, (service, serviceId) => {
+        const definition = createDefinition(container, serviceId, service, basePath, source);
+        // placeholders are expected in configuration files, so strings are interpolated unlike ones set by code
+        definition.interpolated = true;
+        definition.shared = service.shared === true;
+        definition.scoped = service.scoped === true;
+        definition.lazy = service.lazy === true;
+        definition.visibility = service.visibility || 'public';
+        _.forEach(service.calls, ([method, ...args]) => definition.call(method, ...parseArgument(args)));
+        _.forOwn(service.properties, (value, name) => definition.property(name, parseArgument(value)));
+
+        if (service.when) {
+            definition.when(service.when);
+        }
+
+        _.forEach(service.labels, label => definition.label(label));
+        container.setRaw(serviceId, definition);
+
+        // tags of conditional services apply only when the definition is the chosen branch
+        if (service.tags) {
+            definition.tags(...service.tags);
+        }
+    });
+
+    return container;
+};
+
+/**
+ * Loads JSON or JS module exporting configuration object. Imports are resolved relative to the file.
+ * @param {Pimple} container
+ * @param {string} file
+ * @param {Set<string>} [loaded] files already loaded to skip repeated imports
+ * @return {Pimple}
+ */
+const loadFile = (container, file, loaded = new Set()) => {
+    const filename = path.resolve(file);
+
+    if (loaded.has(filename)) {
+        return container;
+    }
+
+    loaded.add(filename);
+
+    let config;
+    try {
+        config = require(filename);
+    } catch (e) {
+        throw configError(filename, undefined, e.message);
+    }
+
+    return load(container, config, {basePath: path.dirname(filename), source: filename, loaded});
+};
+
+exports.load = load;
+exports.loadFile = loadFile;
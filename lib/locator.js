@@ -0,0 +1,78 @@
+// kept aside so the code holding the locator can not reach the whole container
+const containers = new WeakMap();
+
+/**
+ * Read-only view of the container limited to the listed services which are resolved only on demand.
+ * Iterating the locator yields instances of the services in the order of their ids.
+ * @class ServiceLocator
+ */
+class ServiceLocator {
+
+    /**
+     * @param {Pimple} container
+     * @param {Array<string>} ids
+     */
+    constructor(container, ids) {
+        containers.set(this, container);
+        this._ids = Object.freeze(Array.from(new Set(ids)));
+        Object.freeze(this);
+    }
+
+    /**
+     * @return {number}
+     */
+    get size() {
+        return this._ids.length;
+    }
+
+    /**
+     * @return {Array<string>}
+     */
+    keys() {
+        return this._ids.slice();
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {boolean}
+     */
+    has(serviceId) {
+        return this._ids.indexOf(serviceId) !== -1;
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {*}
+     */
+    get(serviceId) {
+        return containers.get(this).get(this.ensureAvailable(serviceId));
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {Promise<*>}
+     */
+    async getAsync(serviceId) {
+        return containers.get(this).getAsync(this.ensureAvailable(serviceId));
+    }
+
+    /**
+     * @param {string} serviceId
+     * @return {string}
+     */
+    ensureAvailable(serviceId) {
+        if (!this.has(serviceId)) {
+            throw new Error(`Service "${serviceId}" is not available in the locator.`);
+        }
+
+        return serviceId;
+    }
+
+    * [Symbol.iterator]() {
+        for (const serviceId of this._ids) {
+            yield this.get(serviceId);
+        }
+    }
+}
+
+exports.ServiceLocator = ServiceLocator;
@@ -0,0 +1,221 @@
+const _ = require('lodash');
+
+const PLACEHOLDER = /%%|%([^%\s]+)%/g;
+const WHOLE_PLACEHOLDER = /^%([^%\s]+)%$/;
+const ENV_PLACEHOLDER = /^env\((?:(\w+):)?(\w+)\)$/;
+
+const toNumber = parse => (value, name) => {
+    const number = parse(value);
+
+    if (_.isNaN(number)) {
+        throw new Error(`Environment variable "${name}" is expected to be a number but "${value}" given.`);
+    }
+
+    return number;
+};
+
+/**
+ * Casting callbacks for env placeholders like %env(int:PORT)%
+ */
+const envProcessors = {
+    string: value => String(value),
+    int: toNumber(value => parseInt(value, 10)),
+    float: toNumber(parseFloat),
+    bool: value => ['1', 'true', 'yes', 'on'].indexOf(_.toLower(_.trim(value))) !== -1,
+    json: (value, name) => {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            throw new Error(`Environment variable "${name}" is not a valid JSON: ${e.message}`);
+        }
+    }
+};
+
+/**
+ * Parameters storage resolving %name% and %env(NAME)% placeholders.
+ * Nested parameters are accessible by dotted paths, the default of env variable is a parameter named "env(NAME)".
+ * @class ParameterBag
+ */
+class ParameterBag {
+
+    /**
+     * @param {ParameterBag} [parent] a bag to fall back to for parameters not defined in this one
+     * @param {Object} [env=process.env] environment variables source
+     */
+    constructor(parent = null, env = process.env) {
+        this.parent = parent;
+        this.env = env;
+        this.values = {};
+        this.changes = 0;
+    }
+
+    /**
+     * @param {string} name dotted path to the parameter
+     * @param {*} value
+     * @return {ParameterBag}
+     */
+    set(name, value) {
+        _.set(this.values, name, value);
+        this.changes++;
+        return this;
+    }
+
+    /**
+     * @return {number} count of changes made to this bag and its parents, grows whenever any of them is changed
+     */
+    revision() {
+        return this.changes + (this.parent !== null ? this.parent.revision() : 0);
+    }
+
+    /**
+     * @param {string} name
+     * @return {boolean}
+     */
+    has(name) {
+        return _.has(this.values, name) || (this.parent !== null && this.parent.has(name));
+    }
+
+    /**
+     * @return {Array<string>} names of the top level parameters
+     */
+    names() {
+        return _.union(this.parent !== null ? this.parent.names() : [], _.keys(this.values));
+    }
+
+    /**
+     * @param {string} name
+     * @return {*} parameter value without placeholders resolved
+     */
+    raw(name) {
+        if (!_.has(this.values, name) && this.parent !== null) {
+            return this.parent.raw(name);
+        }
+
+        return _.get(this.values, name);
+    }
+
+    /**
+     * @param {string} name
+     * @return {*} parameter value with all the placeholders resolved
+     */
+    get(name) {
+        return this.resolvePlaceholder(name, [], undefined);
+    }
+
+    /**
+     * @return {Object} read-only object resolving parameters by their names or paths on access
+     */
+    view() {
+        return new Proxy({}, {
+            get: (target, name) => _.isString(name) && this.has(name) ? this.get(name) : undefined,
+            has: (target, name) => this.has(name),
+            set: () => false
+        });
+    }
+
+    /**
+     * Resolves placeholders in strings, arrays and plain objects recursively.
+     * Values having no placeholders are returned as is.
+     * @param {*} value
+     * @param {string} [serviceId] service referencing the value to point at in errors
+     * @return {*}
+     */
+    resolve(value, serviceId) {
+        return this.resolveValue(value, [], serviceId);
+    }
+
+    resolveValue(value, chain, serviceId) {
+        if (_.isString(value)) {
+            return this.resolveString(value, chain, serviceId);
+        }
+
+        if (_.isArray(value) || _.isPlainObject(value)) {
+            let changed = false;
+            const resolved = (_.isArray(value) ? _.map : _.mapValues)(value, item => {
+                const resolvedItem = this.resolveValue(item, chain, serviceId);
+                changed = changed || resolvedItem !== item;
+                return resolvedItem;
+            });
+
+            return changed ? resolved : value;
+        }
+
+        return value;
+    }
+
+    resolveString(value, chain, serviceId) {
+        const whole = value.match(WHOLE_PLACEHOLDER);
+
+        if (whole) {
+            return this.resolvePlaceholder(whole[1], chain, serviceId);
+        }
+
+        return value.replace(PLACEHOLDER, (match, name) => {
+            if (!name) {
+                return '%';
+            }
+
+            const resolved = this.resolvePlaceholder(name, chain, serviceId);
+
+            if (!_.isString(resolved) && !_.isNumber(resolved) && !_.isBoolean(resolved)) {
+                throw new Error(
+                    `Parameter "${name}" can not be interpolated into "${value}" as it is not a scalar${referrer(chain, serviceId)}.`
+                );
+            }
+
+            return String(resolved);
+        });
+    }
+
+    resolvePlaceholder(name, chain, serviceId) {
+        const env = name.match(ENV_PLACEHOLDER);
+
+        if (env) {
+            return this.resolveEnv(env[1] || 'string', env[2], chain, serviceId);
+        }
+
+        if (chain.indexOf(name) !== -1) {
+            throw new Error(`Circular parameter reference: ${[...chain.slice(chain.indexOf(name)), name].join(' -> ')}.`);
+        }
+
+        if (!this.has(name)) {
+            throw new Error(`Parameter "${name}" is not defined${referrer(chain, serviceId)}.`);
+        }
+
+        return this.resolveValue(this.raw(name), [...chain, name], serviceId);
+    }
+
+    resolveEnv(processor, name, chain, serviceId) {
+        if (!_.has(envProcessors, processor)) {
+            throw new Error(`Unknown env processor "${processor}" used for variable "${name}"${referrer(chain, serviceId)}.`);
+        }
+
+        let value = this.env[name];
+
+        if (value === undefined) {
+            if (!this.has(`env(${name})`)) {
+                throw new Error(`Environment variable "${name}" is not defined${referrer(chain, serviceId)}.`);
+            }
+
+            value = this.resolveValue(this.raw(`env(${name})`), [...chain, `env(${name})`], serviceId);
+        }
+
+        return _.isString(value) ? envProcessors[processor](value, name) : value;
+    }
+}
+
+const referrer = (chain, serviceId) => {
+    const parts = [];
+
+    if (!_.isEmpty(chain)) {
+        parts.push(`parameter "${_.last(chain)}"`);
+    }
+
+    if (serviceId !== undefined) {
+        parts.push(`service "${serviceId}"`);
+    }
+
+    return _.isEmpty(parts) ? '' : ` (referenced by ${parts.join(' of ')})`;
+};
+
+exports.ParameterBag = ParameterBag;
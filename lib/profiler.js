@@ -0,0 +1,102 @@
+const _ = require('lodash');
+
+/**
+ * @typedef {Object} ServiceProfile
+ * @property {string} id
+ * @property {string} lifetime
+ * @property {number} resolutions number of times the service was requested
+ * @property {number} instantiations number of times the factory actually ran
+ * @property {number} totalDuration milliseconds spent on instantiations including dependencies
+ * @property {number} maxDuration the slowest instantiation in milliseconds
+ */
+
+/**
+ * Collects timings of the services resolved by the container from its afterResolve events.
+ * Cache hits of shared and scoped services are counted as resolutions but not as instantiations.
+ * @class Profiler
+ */
+class Profiler {
+
+    /**
+     * @param {Pimple} container
+     */
+    constructor(container) {
+        this.container = container;
+        this.profiles = new Map();
+        this.listener = event => this.record(event);
+        container.on('afterResolve', this.listener);
+    }
+
+    /**
+     * @param {Object} event payload of afterResolve event
+     */
+    record({id, definition, duration, cached}) {
+        if (!this.profiles.has(id)) {
+            this.profiles.set(id, {
+                id,
+                lifetime: definition.lifetime,
+                resolutions: 0,
+                instantiations: 0,
+                totalDuration: 0,
+                maxDuration: 0
+            });
+        }
+
+        const profile = this.profiles.get(id);
+        profile.resolutions++;
+
+        if (!cached) {
+            profile.instantiations++;
+            profile.totalDuration += duration;
+            profile.maxDuration = Math.max(profile.maxDuration, duration);
+        }
+    }
+
+    /**
+     * @param {number} [limit=10]
+     * @return {Array<ServiceProfile>} services with the slowest instantiation first
+     */
+    slowest(limit = 10) {
+        return _.take(_.orderBy(
+            _.filter(Array.from(this.profiles.values()), profile => profile.instantiations > 0),
+            ['maxDuration'],
+            ['desc']
+        ), limit);
+    }
+
+    /**
+     * Transient services are created again on every get(), the most instantiated ones are listed first
+     * @return {Array<ServiceProfile>}
+     */
+    transients() {
+        return _.orderBy(
+            _.filter(Array.from(this.profiles.values()), {lifetime: 'transient'}),
+            ['instantiations', 'totalDuration'],
+            ['desc', 'desc']
+        );
+    }
+
+    /**
+     * @param {number} [limit=10] number of the slowest services to report
+     * @return {{slowest: Array<ServiceProfile>, transients: Array<ServiceProfile>}}
+     */
+    report(limit = 10) {
+        return {
+            slowest: this.slowest(limit),
+            transients: this.transients()
+        };
+    }
+
+    reset() {
+        this.profiles.clear();
+    }
+
+    /**
+     * Stops listening to the container, collected data stay available
+     */
+    stop() {
+        this.container.off('afterResolve', this.listener);
+    }
+}
+
+exports.Profiler = Profiler;
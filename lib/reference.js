@@ -0,0 +1,25 @@
+/**
+ * Declared reference to another service resolved while the referencing definition is resolved
+ * @class Reference
+ */
+class Reference {
+
+    /**
+     * @param {string} serviceId
+     */
+    constructor(serviceId) {
+        this.id = serviceId;
+    }
+
+    toString() {
+        return `@${this.id}`;
+    }
+}
+
+/**
+ * @param {string} serviceId
+ * @return {Reference}
+ */
+exports.ref = serviceId => new Reference(serviceId);
+
+exports.Reference = Reference;
@@ -0,0 +1,106 @@
+const _ = require('lodash');
+const Joi = require('joi');
+
+const sortSchema = Joi.alternatives().try(
+    Joi.string(),
+    Joi.object().keys({
+        field: Joi.string().required(),
+        order: Joi.alternatives().try(Joi.number().valid(-1, 1), Joi.string().valid('asc', 'desc')).default(1),
+        default: Joi.any().default(0)
+    })
+);
+
+const optionsSchema = Joi.object().keys({
+    where: Joi.alternatives().try(Joi.func(), Joi.object()),
+    sort: Joi.alternatives().try(sortSchema, Joi.array().items(sortSchema)).default([])
+});
+
+/**
+ * @param {Function|Object|*} condition a predicate, {in: [...]} or a value to be equal to
+ * @return {Function}
+ */
+const matcher = condition => {
+    if (_.isFunction(condition)) {
+        return condition;
+    }
+
+    if (_.isPlainObject(condition) && _.has(condition, 'in')) {
+        return value => _.some(condition.in, expected => _.isEqual(value, expected));
+    }
+
+    return value => _.isEqual(value, condition);
+};
+
+/**
+ * @param {Function|Object} [where]
+ * @return {Function} predicate accepting the tag and the service id
+ */
+const filter = where => {
+    if (_.isFunction(where)) {
+        return where;
+    }
+
+    const matchers = _.mapValues(where, matcher);
+    return tag => _.every(matchers, (match, field) => match(_.get(tag, field), tag));
+};
+
+/**
+ * @param {Array} sort normalized sort options
+ * @return {Function} comparator of [serviceId, tag] pairs
+ */
+const comparator = sort => {
+    const fields = _.map(sort, spec => _.isString(spec) ? {field: spec, order: 1, default: 0} : spec);
+
+    return ([serviceA, tagA], [serviceB, tagB]) => {
+        for (const {field, order, default: defaultValue} of fields) {
+            const a = _.get(tagA, field, defaultValue);
+            const b = _.get(tagB, field, defaultValue);
+            const direction = order === 'desc' || order === -1 ? -1 : 1;
+
+            if (a < b) {
+                return -direction;
+            }
+
+            if (a > b) {
+                return direction;
+            }
+        }
+
+        return 0;
+    };
+};
+
+/**
+ * @typedef {Object} TagQuery
+ * @property {Function|Object} [where] predicate of the tag and the service id or conditions keyed by tag attributes.
+ * A condition is a predicate of the attribute value and the tag, {in: [values]} or a value to be equal to.
+ * @property {string|Object|Array<string|Object>} [sort] attribute names or {field, order, default} to sort by,
+ * order is 1/"asc" (default) or -1/"desc" and default (0 by default) is used for the tags missing the attribute.
+ * Tags equal by all the fields keep the order of tagging.
+ */
+
+/**
+ * Filters and sorts tags of the services
+ * @param {Map<string, Array<Object>>} tagged tags keyed by service ids as returned by Pimple.getTag()
+ * @param {TagQuery} [options]
+ * @return {Array<[string, Object]>} pairs of service id and tag, a service is listed once per matching tag
+ */
+exports.query = (tagged, options = {}) => {
+    const {error, value} = Joi.validate(options, optionsSchema);
+
+    if (error) {
+        throw error;
+    }
+
+    const matches = filter(value.where);
+    const pairs = [];
+    tagged.forEach((tags, serviceId) => {
+        tags.forEach(tag => {
+            if (matches(tag, serviceId)) {
+                pairs.push([serviceId, tag]);
+            }
+        });
+    });
+
+    return pairs.sort(comparator(_.castArray(value.sort)));
+};
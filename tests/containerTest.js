@@ -1,7 +1,11 @@
 const {describe} = require('mocha');
 const {expect} = require('chai');
-const {Pimple, tag, label} = require('../index.js');
+const {
+    Pimple, tag, label, protect, onDispose, ref, call, property, autowire, lazy, isInitialized, schema, cacheKey, visibility, when,
+    interpolate, CircularDependencyError, DisposalError, LabelError
+} = require('../index.js');
 const _ = require('lodash');
+const Joi = require('joi');
 
 describe('Pimple', function () {
     describe('#set()', () => {
@@ -241,15 +245,1996 @@ describe('Pimple', function () {
         })
     });
 
+    describe('#circular references', () => {
+        it('should name the full cycle of factories', () => {
+            const pimple = new Pimple({
+                a: function () {
+                    return this.get('b');
+                },
+                b: function () {
+                    return this.get('c');
+                },
+                c: function () {
+                    return this.get('a');
+                }
+            });
+
+            expect(() => pimple.get('a')).to.throw(CircularDependencyError, 'a -> b -> c -> a');
+
+            expect(() => pimple.get('b')).to.throw(CircularDependencyError)
+                .with.property('path').that.eql(['b', 'c', 'a', 'b']);
+        });
+
+        it('should detect cycles of shared services and through label callbacks', () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('a', []);
+            pimple.setShared('b', function () {
+                return [this.get('a')];
+            });
+            pimple.set('a', [], label('needsB', (instance, di) => instance.push(di.get('b'))));
+
+            expect(() => pimple.get('b')).to.throw(CircularDependencyError, 'b -> a -> b');
+        });
+
+        it('should detect cycles passing through tagged services iteration', () => {
+            const pimple = new Pimple();
+
+            pimple.set('collector', function () {
+                const collected = [];
+                this.overTags('collected', serviceId => collected.push(this.get(serviceId)));
+                return collected;
+            });
+            pimple.set('item', 'item', tag('collected'));
+            pimple.set('greedy', function () {
+                return this.get('collector');
+            }, tag('collected'));
+
+            expect(() => pimple.get('collector')).to.throw(CircularDependencyError, 'collector -> greedy -> collector');
+        });
+
+        it('should release the resolution chain after a failure', () => {
+            const pimple = new Pimple({
+                a: function () {
+                    return this.get('b');
+                },
+                b: function () {
+                    return this.get('a');
+                },
+                c: function () {
+                    return this.get('d');
+                },
+                d: 'd'
+            });
+
+            expect(() => pimple.get('a')).to.throw(CircularDependencyError);
+            expect(pimple._resolving.getStore()).to.be.undefined;
+            expect(pimple.get('c')).to.equal('d');
+        });
+
+        it('should not pass the resolution chain to callbacks scheduled by factories', async () => {
+            const pimple = new Pimple();
+            const later = [];
+
+            pimple.setShared('timer', function () {
+                later.push(new Promise(resolve => setTimeout(() => resolve(this.get('timer')))));
+                return {};
+            });
+            pimple.setShared('asyncTimer', async function () {
+                await Promise.resolve();
+                later.push(new Promise(resolve => setTimeout(() => resolve(this.getAsync('asyncTimer')))));
+                return {};
+            });
+
+            const timer = pimple.get('timer');
+            const asyncTimer = await pimple.getAsync('asyncTimer');
+
+            expect(await Promise.all(later)).to.be.eql([timer, asyncTimer]);
+            expect(pimple.inspect().find(({id}) => id === 'timer').resolved).to.be.eql([]);
+        });
+    });
+
     describe('#extend', () => {
         it('should pass service to extend callback to make changes for new', () => {
+            const pimple = new Pimple({
+                greeting: 'hello'
+            });
 
-        })
+            pimple.extend('greeting', (service, di) => {
+                expect(di).to.equal(pimple);
+                return `${service} world`;
+            });
+
+            expect(pimple.get('greeting')).to.equal('hello world');
+        });
+
+        it('should stack extenders in registration order from separate providers', () => {
+            const pimple = new Pimple();
+
+            pimple.register(di => di.set('list', []));
+            pimple.register(di => di.extend('list', list => list.concat('first')));
+            pimple.register(di => di.extend('list', list => list.concat('second')));
+
+            expect(pimple.get('list')).to.be.eql(['first', 'second']);
+        });
+
+        it('should preserve shared state, labels and tags of the definition', () => {
+            const pimple = new Pimple();
+            let created = 0;
+
+            pimple.setShared('counter', () => ({created: ++created}), tag('counters'), label('labeled', instance => {
+                instance.labeled = true;
+            }));
+            pimple.extend('counter', counter => Object.assign({extended: true}, counter));
+
+            expect(pimple.get('counter')).to.be.eql({extended: true, created: 1, labeled: true});
+            expect(pimple.get('counter')).to.equal(pimple.get('counter'));
+            expect(created).to.equal(1);
+            expect(Array.from(pimple.getTag('counters').keys())).to.be.eql(['counter']);
+        });
+
+        it('should extend not shared service after it was resolved', () => {
+            const pimple = new Pimple({
+                number: 1
+            });
+
+            expect(pimple.get('number')).to.equal(1);
+            pimple.extend('number', number => number + 1);
+            expect(pimple.get('number')).to.equal(2);
+        });
+
+        it('should refuse to extend already instantiated shared service', () => {
+            const pimple = new Pimple();
+            pimple.setShared('shared', {});
+            pimple.get('shared');
+
+            expect(() => pimple.extend('shared', _.identity)).to.throw('already instantiated');
+            expect(() => pimple.extend('unknown', _.identity)).to.throw('not defined');
+        });
     });
 
-    describe('#protect', () => {
-        it('should pass service to extend callback to make changes for new', () => {
+    describe('#getAsync', () => {
+        it('should await async factories and async label callbacks', async () => {
+            const pimple = new Pimple();
 
-        })
-    })
+            pimple.set('connection', async () => ({connected: true}), label('ready', async connection => {
+                await Promise.resolve();
+                connection.ready = true;
+            }));
+            pimple.set('plain', 'value');
+
+            expect(await pimple.getAsync('connection')).to.be.eql({connected: true, ready: true});
+            expect(await pimple.getAsync('plain')).to.equal('value');
+        });
+
+        it('should construct shared service once for concurrent calls', async () => {
+            const pimple = new Pimple();
+            let created = 0;
+
+            pimple.setShared('db', async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return {created: ++created};
+            });
+
+            const [first, second] = await Promise.all([pimple.getAsync('db'), pimple.getAsync('db')]);
+
+            expect(first).to.equal(second);
+            expect(await pimple.getAsync('db')).to.equal(first);
+            expect(pimple.get('db'), 'resolved shared instance is available synchronously').to.equal(first);
+            expect(created).to.equal(1);
+        });
+
+        it('should evict failed shared service to retry it', async () => {
+            const pimple = new Pimple();
+            let attempts = 0;
+
+            pimple.setShared('flaky', async () => {
+                if (++attempts === 1) {
+                    throw new Error('connection refused');
+                }
+                return {attempts};
+            });
+
+            let error;
+            try {
+                await pimple.getAsync('flaky');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.have.property('message', 'connection refused');
+            expect(await pimple.getAsync('flaky')).to.be.eql({attempts: 2});
+        });
+
+        it('should refuse to resolve async factory synchronously', async () => {
+            const pimple = new Pimple();
+            pimple.setShared('db', async () => ({}));
+
+            expect(() => pimple.get('db')).to.throw('Use getAsync()');
+            const pending = pimple.getAsync('db');
+            expect(() => pimple.get('db')).to.throw('being resolved asynchronously');
+            await pending;
+        });
+
+        it('should detect circular dependencies between async factories', async () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('a', async function () {
+                await Promise.resolve();
+                return this.getAsync('b');
+            });
+            pimple.setShared('b', async function () {
+                await Promise.resolve();
+                return this.getAsync('a');
+            });
+
+            let error;
+            try {
+                await pimple.getAsync('a');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(CircularDependencyError);
+            expect(error.path).to.be.eql(['a', 'b', 'a']);
+        });
+    });
+
+    describe('#createScope', () => {
+        it('should expose inherited services as properties', () => {
+            const pimple = new Pimple({name: 'app'});
+            pimple.alias('title', 'name');
+            pimple.setPrivate('secret', 's3cr3t');
+
+            const scope = pimple.createScope().createScope();
+
+            expect(scope.name).to.equal('app');
+            expect(scope.title).to.equal('app');
+            expect(scope).to.not.have.property('secret');
+            expect(Object.keys(scope)).to.include.members(['name', 'title']);
+        });
+
+        it('should not change definitions inherited from the parent', () => {
+            const pimple = new Pimple({counter: () => ({n: 1})});
+            const scope = pimple.createScope();
+
+            scope.defineLabel('scoped', _.noop);
+
+            expect(() => scope.extend('counter', counter => ({n: counter.n + 100})))
+                .to.throw('Service "counter" is inherited from the parent container. Set it in the scope to extend it there.');
+            expect(() => scope.addLabel('counter', 'scoped')).to.throw('Set it in the scope to label it there.');
+            expect(pimple.get('counter')).to.be.eql({n: 1});
+
+            scope.set('counter', () => ({n: 2}));
+            scope.extend('counter', counter => ({n: counter.n + 100}));
+            expect(scope.get('counter')).to.be.eql({n: 102});
+            expect(pimple.get('counter')).to.be.eql({n: 1});
+        });
+
+        it('should fall back to parent definitions and allow local overrides', () => {
+            const pimple = new Pimple({
+                name: 'app',
+                greeting: function () {
+                    return `hello from ${this.get('name')}`;
+                }
+            });
+            const scope = pimple.createScope({name: 'request'});
+
+            expect(scope.get('greeting'), 'transient services are resolved by the scope').to.equal('hello from request');
+            expect(pimple.get('greeting')).to.equal('hello from app');
+            expect(() => scope.get('unknown')).to.throw('not defined');
+        });
+
+        it('should share singletons and create scoped services once per scope', () => {
+            const pimple = new Pimple();
+            let requests = 0;
+
+            pimple.setShared('app', {});
+            pimple.setScoped('request', () => ({id: ++requests}));
+
+            const first = pimple.createScope();
+            const second = pimple.createScope();
+
+            expect(first.get('app')).to.equal(second.get('app'));
+            expect(first.get('app')).to.equal(pimple.get('app'));
+            expect(first.get('request')).to.equal(first.get('request'));
+            expect(first.get('request')).to.not.equal(second.get('request'));
+            expect(second.get('request')).to.be.eql({id: 2});
+            expect(pimple.getDefinition('request').lifetime).to.equal('scoped');
+        });
+
+        it('should resolve scoped services asynchronously per scope', async () => {
+            const pimple = new Pimple();
+            let transactions = 0;
+
+            pimple.setScoped('transaction', async () => ({id: ++transactions}));
+
+            const scope = pimple.createScope();
+            const [first, second] = await Promise.all([scope.getAsync('transaction'), scope.getAsync('transaction')]);
+
+            expect(first).to.equal(second);
+            expect(await pimple.createScope().getAsync('transaction')).to.be.eql({id: 2});
+        });
+
+        it('should see tags and labels of the parent', () => {
+            const pimple = new Pimple({a: 'A'});
+
+            pimple.tag('a', 'letters');
+            pimple.defineLabel('collect', (service, di) => {
+                di.overTags('letters', serviceId => service.push(di.get(serviceId)));
+            });
+
+            const scope = pimple.createScope({b: 'B'});
+            scope.tag('b', 'letters');
+            scope.set('letters', [], label('collect'));
+
+            expect(scope.get('letters')).to.be.eql(['A', 'B']);
+            expect(Array.from(pimple.getTag('letters').keys()), 'parent is not affected').to.be.eql(['a']);
+        });
+    });
+
+    describe('#dispose', () => {
+        it('should tear down instantiated services in reverse creation order', async () => {
+            const pimple = new Pimple();
+            const disposed = [];
+            const track = async service => {
+                await Promise.resolve();
+                disposed.push(service.name);
+            };
+
+            pimple.setShared('db', {name: 'db'}, onDispose(track));
+            pimple.setShared('repository', function () {
+                return {name: 'repository', db: this.get('db')};
+            }, onDispose(track));
+            pimple.setShared('unused', {name: 'unused'}, onDispose(track));
+            pimple.set('transient', {name: 'transient'}, onDispose(track));
+
+            pimple.get('repository');
+            pimple.get('transient');
+            await pimple.dispose();
+
+            expect(disposed).to.be.eql(['repository', 'db']);
+        });
+
+        it('should aggregate errors of all disposers', async () => {
+            const pimple = new Pimple();
+            let disposed = false;
+
+            pimple.setShared('first', {}, onDispose(() => {
+                disposed = true;
+            }));
+            pimple.setShared('second', {}, onDispose(() => {
+                throw new Error('first failure');
+            }), onDispose(async () => {
+                throw new Error('second failure');
+            }));
+
+            pimple.get('first');
+            pimple.get('second');
+
+            let error;
+            try {
+                await pimple.dispose();
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(DisposalError);
+            expect(_.map(error.errors, 'message')).to.be.eql(['first failure', 'second failure']);
+            expect(disposed).to.be.true;
+        });
+
+        it('should refuse to resolve services afterwards', async () => {
+            const pimple = new Pimple({value: 'value'});
+            const scope = pimple.createScope();
+
+            await pimple.dispose();
+            await pimple.dispose();
+
+            expect(() => pimple.get('value')).to.throw('Container is disposed');
+            expect(() => scope.get('value')).to.throw('Container is disposed');
+        });
+
+        it('should dispose scoped services with the scope only', async () => {
+            const pimple = new Pimple();
+            const disposed = [];
+
+            pimple.setShared('app', 'app', onDispose(service => disposed.push(service)));
+            pimple.setScoped('request', 'request', onDispose(service => disposed.push(service)));
+
+            const scope = pimple.createScope();
+            scope.get('app');
+            scope.get('request');
+            await scope.dispose();
+
+            expect(disposed).to.be.eql(['request']);
+            expect(pimple.get('app')).to.equal('app');
+        });
+    });
+
+    describe('#parameters', () => {
+        it('should keep nested parameters accessible by dotted paths', () => {
+            const pimple = new Pimple();
+
+            pimple.setParameter('db', {host: 'localhost', port: 5432});
+            pimple.setParameter('db.name', 'app');
+
+            expect(pimple.getParameter('db')).to.be.eql({host: 'localhost', port: 5432, name: 'app'});
+            expect(pimple.getParameter('db.port')).to.equal(5432);
+            expect(pimple.hasParameter('db.host')).to.be.true;
+            expect(pimple.hasParameter('db.user')).to.be.false;
+        });
+
+        it('should interpolate placeholders in services and parameters recursively', () => {
+            const pimple = new Pimple();
+            const shared = {untouched: true};
+
+            pimple.setParameter('db', {host: 'localhost', port: 5432});
+            pimple.setParameter('db.url', 'postgres://%db.host%:%db.port%');
+            pimple.set('dsn', '%db.url%/app', interpolate());
+            pimple.set('config', {db: '%db%', ratio: '100%%'}, interpolate());
+            pimple.setShared('shared', shared);
+
+            expect(pimple.get('dsn')).to.equal('postgres://localhost:5432/app');
+            expect(pimple.get('config')).to.be.eql({db: {host: 'localhost', port: 5432, url: 'postgres://localhost:5432'}, ratio: '100%'});
+            expect(pimple.get('shared'), 'values without placeholders are kept as is').to.equal(shared);
+        });
+
+        it('should keep values which do not opt in to interpolation as is', () => {
+            const pimple = new Pimple();
+            const query = {query: 'name=John%20Smith%20Jr'};
+
+            pimple.setParameter('password', 'secret');
+            pimple.set('dsn', 'postgres://user:p%40ss%21word@db/app');
+            pimple.setShared('query', query);
+            pimple.set('client', function (dsn) {
+                return dsn;
+            });
+            pimple.getDefinition('client').setArguments('postgres://user:%password%@db/app');
+            pimple.set('interpolated', function (dsn) {
+                return dsn;
+            }, interpolate());
+            pimple.getDefinition('interpolated').setArguments('postgres://user:%password%@db/app');
+            pimple.setRaw('rate', pimple.create(rate => rate, null, 'rate 5%/10%'));
+
+            expect(pimple.get('dsn')).to.equal('postgres://user:p%40ss%21word@db/app');
+            expect(pimple.get('query')).to.equal(query);
+            expect(pimple.get('client'), 'arguments are not interpolated either').to.equal('postgres://user:%password%@db/app');
+            expect(pimple.get('interpolated')).to.equal('postgres://user:secret@db/app');
+            expect(pimple.get('rate')).to.equal('rate 5%/10%');
+        });
+
+        it('should resolve env placeholders with casting and defaults', () => {
+            const pimple = new Pimple();
+            process.env.PIMPLE_TEST_PORT = '8080';
+            process.env.PIMPLE_TEST_DEBUG = 'true';
+            process.env.PIMPLE_TEST_OPTIONS = '{"retries": 3}';
+
+            try {
+                pimple.setParameter('env(PIMPLE_TEST_HOST)', 'localhost');
+                pimple.set('server', {
+                    host: '%env(PIMPLE_TEST_HOST)%',
+                    port: '%env(int:PIMPLE_TEST_PORT)%',
+                    debug: '%env(bool:PIMPLE_TEST_DEBUG)%',
+                    options: '%env(json:PIMPLE_TEST_OPTIONS)%',
+                    url: 'http://%env(PIMPLE_TEST_HOST)%:%env(PIMPLE_TEST_PORT)%'
+                }, interpolate());
+
+                expect(pimple.get('server')).to.be.eql({
+                    host: 'localhost',
+                    port: 8080,
+                    debug: true,
+                    options: {retries: 3},
+                    url: 'http://localhost:8080'
+                });
+
+                pimple.set('missing', '%env(PIMPLE_TEST_MISSING)%', interpolate());
+                expect(() => pimple.get('missing')).to.throw('Environment variable "PIMPLE_TEST_MISSING" is not defined');
+            } finally {
+                delete process.env.PIMPLE_TEST_PORT;
+                delete process.env.PIMPLE_TEST_DEBUG;
+                delete process.env.PIMPLE_TEST_OPTIONS;
+            }
+        });
+
+        it('should name the parameter and the service for unresolved placeholders', () => {
+            const pimple = new Pimple();
+
+            pimple.setParameter('url', 'http://%host%');
+            pimple.set('client', '%url%', interpolate());
+            pimple.set('direct', 'http://%host%', interpolate());
+
+            expect(() => pimple.get('client'))
+                .to.throw('Parameter "host" is not defined (referenced by parameter "url" of service "client")');
+            expect(() => pimple.get('direct'))
+                .to.throw('Parameter "host" is not defined (referenced by service "direct")');
+        });
+
+        it('should detect circular parameter references', () => {
+            const pimple = new Pimple();
+
+            pimple.setParameter('a', '%b%');
+            pimple.setParameter('b', 'prefix-%a%');
+
+            expect(() => pimple.getParameter('a')).to.throw('Circular parameter reference: a -> b -> a');
+        });
+
+        it('should inherit parameters of parent in scopes', () => {
+            const pimple = new Pimple();
+            pimple.set('greeting', 'hello %name%', interpolate());
+            pimple.setParameter('name', 'app');
+
+            const scope = pimple.createScope();
+            scope.setParameter('name', 'request');
+
+            expect(scope.get('greeting')).to.equal('hello request');
+            expect(pimple.get('greeting')).to.equal('hello app');
+        });
+    });
+
+    describe('#compile', () => {
+        it('should run compiler passes to wire tagged services before resolving', () => {
+            const pimple = new Pimple();
+            const order = [];
+
+            pimple.set('dispatcher', (...listeners) => ({listeners}));
+            pimple.set('onStart', 'start', tag('event.listener'));
+            pimple.set('onStop', 'stop', tag('event.listener'));
+
+            pimple.addCompilerPass(di => {
+                order.push('collect');
+                di.getDefinition('dispatcher').setArguments(...Array.from(di.getTag('event.listener').keys(), ref));
+            });
+            pimple.addCompilerPass(() => order.push('prepare'), 10);
+
+            pimple.compile();
+
+            expect(order).to.be.eql(['prepare', 'collect']);
+            expect(pimple.get('dispatcher')).to.be.eql({listeners: ['start', 'stop']});
+        });
+
+        it('should report all undefined services and labels', () => {
+            const pimple = new Pimple();
+
+            pimple.set('client', (http) => ({http}));
+            pimple.getDefinition('client').setArguments(ref('http'));
+            pimple.set('logger', {}, label('configured'));
+            pimple.tag('mailer', 'notifiers');
+
+            expect(() => pimple.compile()).to.throw([
+                'Container compilation failed:',
+                ' - service "client" references undefined service "http"',
+                ' - service "logger" is labeled with undefined label "configured"',
+                ' - tag "notifiers" is set for undefined service "mailer"'
+            ].join('\n'));
+            expect(pimple.isFrozen()).to.be.false;
+        });
+
+        it('should freeze the container', () => {
+            const pimple = new Pimple({value: 'value'});
+
+            pimple.compile();
+
+            expect(pimple.isFrozen()).to.be.true;
+            expect(pimple.get('value')).to.equal('value');
+            expect(() => pimple.set('other', 'other')).to.throw('Container is compiled and frozen. Can not set service "other".');
+            expect(() => pimple.tag('value', 'values')).to.throw('frozen');
+            expect(() => pimple.addLabel('value', 'any')).to.throw('frozen');
+            expect(() => pimple.defineLabel('any', _.noop)).to.throw('frozen');
+            expect(() => pimple.extend('value', _.identity)).to.throw('frozen');
+            expect(() => pimple.setParameter('any', 1)).to.throw('frozen');
+            expect(() => pimple.createScope().set('other', 'other'), 'scopes are not frozen').to.not.throw();
+        });
+    });
+
+    describe('#inspect', () => {
+        it('should describe services with declared and resolved dependencies', () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('db', {});
+            pimple.set('repository', function () {
+                return {db: this.get('db')};
+            }, tag({name: 'repositories', priority: 1}));
+            pimple.setScoped('controller', (repository, logger) => ({repository, logger}), label('http'));
+            pimple.getDefinition('controller').setArguments(ref('repository'), ref('logger'));
+            pimple.set('logger', {});
+            pimple.defineLabel('http', _.noop);
+
+            pimple.get('controller');
+
+            const services = _.keyBy(pimple.inspect(), 'id');
+
+            expect(services.db).to.include({lifetime: 'shared', instantiated: true});
+            expect(services.db.dependents).to.be.eql(['repository']);
+            expect(services.repository).to.include({lifetime: 'transient', instantiated: false});
+            expect(services.repository.tags).to.be.eql([{name: 'repositories', priority: 1}]);
+            expect(services.repository.declared).to.be.eql([]);
+            expect(services.repository.resolved).to.be.eql(['db']);
+            expect(services.controller.lifetime).to.equal('scoped');
+            expect(services.controller.labels).to.be.eql(['http']);
+            expect(services.controller.dependencies).to.be.eql(['repository', 'logger']);
+            expect(services.logger.dependents).to.be.eql(['controller']);
+        });
+
+        it('should include inherited services in scopes', () => {
+            const pimple = new Pimple({app: 'app'});
+            const scope = pimple.createScope({request: 'request'});
+
+            expect(_.map(scope.inspect(), 'id')).to.be.eql(['app', 'request']);
+            expect(_.map(pimple.inspect(), 'id')).to.be.eql(['app']);
+        });
+    });
+
+    describe('#classes', () => {
+        class Repository {
+            constructor(db, table) {
+                this.db = db;
+                this.table = table;
+            }
+
+            setLogger(logger) {
+                this.logger = logger;
+            }
+        }
+
+        it('should instantiate classes with new passing the container by default', () => {
+            const pimple = new Pimple();
+
+            pimple.set('repository', Repository);
+
+            expect(pimple.get('repository')).to.be.instanceOf(Repository);
+            expect(pimple.get('repository').db).to.equal(pimple);
+            expect(pimple.getDefinition('repository').type).to.equal('class');
+        });
+
+        it('should pass resolved constructor arguments and inject by calls and properties', () => {
+            const pimple = new Pimple({logger: {}});
+
+            pimple.setShared('db', {});
+            pimple.setParameter('table', 'users');
+            pimple.set('repository', Repository, call('setLogger', ref('logger')), property('cache', ref('db')), interpolate());
+            pimple.getDefinition('repository').setArguments(ref('db'), '%table%');
+
+            const repository = pimple.get('repository');
+
+            expect(repository.db).to.equal(pimple.get('db'));
+            expect(repository.table).to.equal('users');
+            expect(repository.logger).to.be.eql({});
+            expect(repository.cache).to.be.eql({});
+            expect(pimple.getDefinition('repository').references()).to.be.eql(['db', 'logger']);
+        });
+
+        it('should disambiguate classes and factories explicitly', () => {
+            function LegacyService(container) {
+                this.container = container;
+            }
+
+            const pimple = new Pimple({
+                legacy: Pimple.class(LegacyService),
+                built: Pimple.factory(class {
+                })
+            });
+
+            expect(pimple.get('legacy')).to.be.instanceOf(LegacyService);
+            expect(() => pimple.get('built')).to.throw(TypeError);
+            expect(() => Pimple.class('not a function')).to.throw('Only functions');
+        });
+
+        it('should fail on calling undefined method', () => {
+            const pimple = new Pimple();
+
+            pimple.set('repository', Repository, call('setCache', 'cache'));
+
+            expect(() => pimple.get('repository')).to.throw('Service "repository" has no method "setCache" to call.');
+        });
+
+        it('should await async dependencies and methods with getAsync', async () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('db', async () => ({connected: true}));
+            pimple.set('repository', Repository, call('setLogger', ref('db')));
+            pimple.getDefinition('repository').setArguments(ref('db'));
+
+            const repository = await pimple.getAsync('repository');
+
+            expect(repository.db).to.be.eql({connected: true});
+            expect(repository.logger).to.equal(repository.db);
+        });
+    });
+
+    describe('#autowiring', () => {
+        class Mailer {
+            constructor(transport, /* comment */ logger = console) {
+                this.transport = transport;
+                this.logger = logger;
+            }
+        }
+
+        class Newsletter extends Mailer {
+        }
+
+        class Notifier {
+            constructor(container) {
+                this.container = container;
+            }
+        }
+
+        Notifier.inject = ['mailer'];
+
+        it('should resolve dependencies by static inject property and constructor parameter names', () => {
+            const pimple = new Pimple({transport: 'smtp', logger: 'log'});
+
+            pimple.enableAutowiring();
+            pimple.set('mailer', Mailer);
+            pimple.set('newsletter', Newsletter);
+            pimple.set('notifier', Notifier);
+
+            expect(pimple.get('mailer')).to.include({transport: 'smtp', logger: 'log'});
+            expect(pimple.get('newsletter'), 'parent constructor is used').to.include({transport: 'smtp', logger: 'log'});
+            expect(pimple.get('notifier').container).to.be.instanceOf(Mailer);
+            expect(pimple.getDefinition('notifier').references()).to.be.eql(['mailer']);
+        });
+
+        it('should only read the constructor declared in the class body', () => {
+            const pimple = new Pimple({transport: 'smtp', logger: 'log'});
+
+            class Money extends Mailer {
+                // constructor(ignored)
+                clone() {
+                    return new this.constructor(this.transport);
+                }
+            }
+
+            class Wallet {
+                describe() {
+                    return `constructor(${this.logger})`;
+                }
+
+                constructor(logger) {
+                    this.logger = logger;
+                }
+            }
+
+            pimple.enableAutowiring();
+            pimple.set('money', Money);
+            pimple.set('wallet', Wallet);
+
+            expect(pimple.get('money').clone()).to.include({transport: 'smtp'});
+            expect(pimple.get('wallet').describe()).to.equal('constructor(log)');
+        });
+
+        it('should read parameters with defaults and regular expressions in the class', () => {
+            const pimple = new Pimple({db: 'db', logger: 'log'});
+            const make = (...args) => args.join();
+
+            class Repository {
+                static check(value) {
+                    return /'/.test(value) && /[/"]/.test(value);
+                }
+
+                constructor(db = make('a', ')'), /* , skipped) */ logger = `${make({})}`) {
+                    this.db = db;
+                    this.logger = logger;
+                }
+            }
+
+            pimple.enableAutowiring();
+            pimple.set('repository', Repository);
+
+            expect(pimple.get('repository')).to.include({db: 'db', logger: 'log'});
+        });
+
+        it('should fail when the constructor can not be read', () => {
+            const pimple = new Pimple();
+            // a regular expression right after the closing parenthesis is taken for a division
+            class Broken {
+                static check(value) {
+                    if (value) /'/.test(value);
+                }
+
+                constructor(db) {
+                    this.db = db;
+                }
+            }
+
+            pimple.enableAutowiring();
+            expect(() => pimple.set('broken', Broken)).to.throw(
+                'Constructor parameters of class Broken can not be read for autowiring (unterminated string). Use static inject property.'
+            );
+        });
+
+        it('should be opt-in and keep explicit arguments', () => {
+            const pimple = new Pimple({transport: 'smtp', logger: 'log'});
+
+            pimple.set('plain', Notifier);
+            pimple.enableAutowiring();
+            pimple.setRaw('explicit', pimple.create(Mailer, null, 'sendmail'));
+            pimple.set('configured', Mailer, autowire());
+
+            expect(pimple.get('plain').container).to.equal(pimple);
+            expect(pimple.get('explicit').transport).to.equal('sendmail');
+            expect(pimple.get('configured').transport).to.equal('smtp');
+        });
+
+        it('should allow to override individual arguments', () => {
+            const pimple = new Pimple({transport: 'smtp', fileLogger: 'file'});
+
+            pimple.set('mailer', Mailer, autowire({logger: ref('fileLogger')}));
+
+            expect(pimple.get('mailer')).to.include({transport: 'smtp', logger: 'file'});
+        });
+
+        it('should list all the dependencies not found for the service', async () => {
+            const pimple = new Pimple();
+
+            pimple.set('mailer', Mailer, autowire());
+
+            expect(() => pimple.get('mailer'))
+                .to.throw('Service "mailer" can not be autowired. Not defined dependencies: "transport", "logger".');
+            expect(() => pimple.set('factory', () => ({}), autowire())).to.throw('is not a class');
+
+            let error;
+            try {
+                await pimple.getAsync('mailer');
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.contain('Not defined dependencies');
+        });
+    });
+
+    describe('#lazy', () => {
+        class Pool {
+            constructor() {
+                this.connections = 2;
+            }
+
+            query(sql) {
+                return `${sql} x${this.connections}`;
+            }
+        }
+
+        it('should defer instantiation until the first access', () => {
+            const pimple = new Pimple();
+            let created = 0;
+            let labeled = 0;
+
+            pimple.setShared('pool', Pimple.factory(() => {
+                created++;
+                return new Pool();
+            }), lazy(), label('count', () => labeled++));
+            pimple.set('repository', function () {
+                return {pool: this.get('pool')};
+            });
+
+            const {pool} = pimple.get('repository');
+
+            expect(created).to.equal(0);
+            expect(isInitialized(pool)).to.be.false;
+            expect(pimple.get('pool'), 'shared proxy').to.equal(pool);
+            expect(pool.query('select')).to.equal('select x2');
+            expect(pool.connections).to.equal(2);
+            expect(isInitialized(pool)).to.be.true;
+            expect(created).to.equal(1);
+            expect(labeled, 'labels run at real instantiation').to.equal(1);
+        });
+
+        it('should preserve instanceof for classes without instantiating', () => {
+            const pimple = new Pimple();
+            let created = 0;
+
+            class CountedPool extends Pool {
+                constructor() {
+                    super();
+                    created++;
+                }
+            }
+
+            pimple.set('pool', CountedPool, lazy());
+
+            const pool = pimple.get('pool');
+
+            expect(pool).to.be.instanceOf(Pool);
+            expect(created).to.equal(0);
+            expect(pimple.get('pool'), 'transient proxies are different').to.not.equal(pool);
+            expect(isInitialized({})).to.be.true;
+        });
+
+        it('should be resolved by getAsync without instantiation', async () => {
+            const pimple = new Pimple();
+            pimple.setShared('pool', Pool, lazy());
+
+            const pool = await pimple.getAsync('pool');
+
+            expect(isInitialized(pool)).to.be.false;
+            expect(pool.query('select')).to.equal('select x2');
+        });
+
+        it('should not dispose never initialized services', async () => {
+            const pimple = new Pimple();
+            const disposed = [];
+
+            pimple.setShared('used', Pool, lazy(), onDispose(() => disposed.push('used')));
+            pimple.setShared('unused', Pool, lazy(), onDispose(() => disposed.push('unused')));
+
+            pimple.get('used').query('select');
+            pimple.get('unused');
+            await pimple.dispose();
+
+            expect(disposed).to.be.eql(['used']);
+        });
+    });
+
+    describe('#alias', () => {
+        it('should share definition and instances of the target', () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('smtpMailer', {transport: 'smtp'});
+            pimple.alias('mailer', 'smtpMailer');
+
+            expect(pimple.get('mailer')).to.equal(pimple.get('smtpMailer'));
+            expect(pimple.mailer, 'getter property is defined').to.equal(pimple.smtpMailer);
+            expect(pimple.getDefinition('mailer')).to.equal(pimple.getDefinition('smtpMailer'));
+        });
+
+        it('should follow target overrides and be replaced by set', () => {
+            const pimple = new Pimple({smtpMailer: 'smtp', memoryMailer: 'memory'});
+
+            pimple.alias('mailer', 'smtpMailer');
+            pimple.alias('notifier', 'mailer');
+            pimple.set('smtpMailer', 'smtp-v2');
+
+            expect(pimple.get('notifier')).to.equal('smtp-v2');
+
+            pimple.alias('mailer', 'memoryMailer');
+            expect(pimple.get('notifier')).to.equal('memory');
+
+            pimple.set('notifier', 'own');
+            expect(pimple.get('notifier')).to.equal('own');
+        });
+
+        it('should refuse circular aliases', () => {
+            const pimple = new Pimple({a: 'a'});
+
+            pimple.alias('b', 'a');
+            pimple.alias('c', 'b');
+
+            expect(() => pimple.alias('a', 'c')).to.throw('Alias "a" can not target itself through "c".');
+        });
+
+        it('should be validated and inspected', () => {
+            const pimple = new Pimple({smtpMailer: 'smtp'});
+
+            pimple.alias('mailer', 'smtpMailer');
+            expect(_.find(pimple.inspect(), {id: 'smtpMailer'}).aliases).to.be.eql(['mailer']);
+
+            pimple.alias('logger', 'fileLogger');
+            expect(() => pimple.compile()).to.throw('alias "logger" targets undefined service "fileLogger"');
+        });
+    });
+
+    describe('#decorate', () => {
+        it('should pass the inner service to the decorator', () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('mailer', {name: 'smtp'});
+            pimple.decorate('mailer', 'loggingMailer', inner => ({name: 'logging', inner}));
+
+            expect(pimple.get('mailer')).to.be.eql({name: 'logging', inner: {name: 'smtp'}});
+            expect(pimple.get('mailer')).to.equal(pimple.get('loggingMailer'));
+            expect(pimple.get('mailer').inner).to.equal(pimple.get('mailer.inner'));
+        });
+
+        it('should apply multiple decorators by priority', () => {
+            const pimple = new Pimple({mailer: 'smtp'});
+
+            pimple.decorate('mailer', 'logging', inner => `logging(${inner})`);
+            pimple.decorate('mailer', 'retrying', inner => `retrying(${inner})`, 10);
+            pimple.decorate('mailer', 'tracing', inner => `tracing(${inner})`);
+
+            expect(pimple.get('mailer')).to.equal('tracing(logging(retrying(smtp)))');
+        });
+
+        it('should keep tags and labels on the outer service', () => {
+            const pimple = new Pimple();
+
+            pimple.set('mailer', () => ({name: 'smtp'}), tag('mailers'), label('ready', service => {
+                service.ready = true;
+            }));
+            pimple.decorate('mailer', 'loggingMailer', inner => ({name: 'logging', inner}));
+
+            const tagged = [];
+            pimple.overTags('mailers', serviceId => tagged.push(pimple.get(serviceId)));
+
+            expect(tagged).to.be.eql([{name: 'logging', ready: true, inner: {name: 'smtp'}}]);
+        });
+    });
+
+    describe('#has', () => {
+        it('should check services, aliases and parent services', () => {
+            const pimple = new Pimple({a: 'a'});
+            pimple.alias('b', 'a');
+
+            expect(pimple.has('a')).to.be.true;
+            expect(pimple.has('b')).to.be.true;
+            expect(pimple.has('c')).to.be.false;
+            expect(pimple.createScope().has('a')).to.be.true;
+        });
+    });
+
+    describe('#remove', () => {
+        it('should remove service with its getter, tags and shared instance', () => {
+            const pimple = new Pimple();
+            const created = [];
+
+            pimple.setShared('cache', () => created.push('cache') && {}, tag('caches'), tag('storages'));
+            pimple.set('other', 'other', tag('caches'));
+            pimple.get('cache');
+            pimple.remove('cache');
+
+            expect(pimple.has('cache')).to.be.false;
+            expect(pimple).to.not.have.property('cache');
+            expect(pimple._tags.has('storages')).to.be.false;
+            expect(Array.from(pimple.getTag('caches').keys())).to.be.eql(['other']);
+
+            pimple.setShared('cache', () => created.push('cache') && {});
+            pimple.get('cache');
+            expect(created).to.be.eql(['cache', 'cache']);
+        });
+
+        it('should remove aliases only', () => {
+            const pimple = new Pimple({a: 'a'});
+
+            pimple.alias('b', 'a');
+            pimple.remove('b');
+
+            expect(pimple.has('b')).to.be.false;
+            expect(pimple.get('a')).to.equal('a');
+        });
+
+        it('should remove decorators and the inner service of the decorated service', () => {
+            const pimple = new Pimple({mailer: 'smtp'});
+
+            pimple.decorate('mailer', 'logging', inner => `logging(${inner})`);
+            pimple.remove('mailer');
+
+            expect(pimple.keys()).to.be.eql([]);
+
+            pimple.set('mailer', 'sendmail');
+            pimple.decorate('mailer', 'tracing', inner => `tracing(${inner})`);
+
+            expect(pimple.get('mailer')).to.equal('tracing(sendmail)');
+            expect(pimple.has('logging')).to.be.false;
+
+            pimple.set('client', mailer => mailer);
+            pimple.getDefinition('client').setArguments(ref('tracing'));
+
+            expect(() => pimple.remove('mailer')).to.throw('It is referenced by service "client".');
+        });
+
+        it('should fail loudly', () => {
+            const pimple = new Pimple({logger: {}, db: {}});
+
+            pimple.set('client', logger => ({logger}));
+            pimple.getDefinition('client').setArguments(ref('logger'));
+            pimple.alias('database', 'db');
+
+            expect(() => pimple.remove('logger')).to.throw('Service "logger" can not be removed. It is referenced by service "client".');
+            expect(() => pimple.remove('db')).to.throw('It is referenced by alias "database".');
+            expect(() => pimple.remove('unknown')).to.throw('not defined');
+            expect(() => pimple.createScope().remove('db'), 'parent services are not removed').to.throw('not defined');
+            expect(() => pimple.compile().remove('client')).to.throw('frozen');
+        });
+    });
+
+    describe('#keys', () => {
+        it('should enumerate services with filters', () => {
+            const pimple = new Pimple({transient: 'transient'});
+
+            pimple.setShared('shared', {}, tag('cached'), label('ready'));
+            pimple.setScoped('scoped', {}, tag('cached'));
+
+            const scope = pimple.createScope({local: 'local'});
+
+            expect(pimple.keys()).to.be.eql(['transient', 'shared', 'scoped']);
+            expect(scope.keys()).to.be.eql(['transient', 'shared', 'scoped', 'local']);
+            expect(pimple.keys({shared: true})).to.be.eql(['shared']);
+            expect(pimple.keys({lifetime: 'scoped'})).to.be.eql(['scoped']);
+            expect(pimple.keys({tag: 'cached'})).to.be.eql(['shared', 'scoped']);
+            expect(pimple.keys({tag: 'cached', label: 'ready'})).to.be.eql(['shared']);
+            expect(pimple.entries({shared: true})).to.be.eql([['shared', pimple.getDefinition('shared')]]);
+        });
+    });
+
+    describe('#untag', () => {
+        it('should remove all the tags with the name from the service', () => {
+            const pimple = new Pimple({a: 'a', b: 'b'});
+
+            pimple.tag('a', 't', {name: 't', priority: 1}, 'other');
+            pimple.tag('b', 't');
+            pimple.untag('a', 't');
+
+            expect(Array.from(pimple.getTag('t').keys())).to.be.eql(['b']);
+            expect(Array.from(pimple.getTag('other').keys())).to.be.eql(['a']);
+        });
+    });
+
+    describe('#snapshot', () => {
+        it('should restore definitions, tags, labels, parameters and shared instances', () => {
+            const pimple = new Pimple({mailer: 'smtp'});
+
+            pimple.setShared('db', {});
+            pimple.tag('mailer', 'mailers');
+            pimple.defineLabel('ready', _.noop);
+            pimple.setParameter('db.host', 'localhost');
+            const db = pimple.get('db');
+
+            const snapshot = pimple.snapshot();
+
+            pimple.set('mailer', 'fake');
+            pimple.set('extra', 'extra');
+            pimple.alias('mail', 'mailer');
+            pimple.tag('extra', 'mailers');
+            pimple.addLabel('db', 'ready');
+            pimple.defineLabel('ready', () => {
+                throw new Error('not restored');
+            });
+            pimple.setParameter('db.host', 'test');
+            pimple.remove('db');
+
+            pimple.restore(snapshot);
+
+            expect(pimple.get('mailer')).to.equal('smtp');
+            expect(pimple.has('extra')).to.be.false;
+            expect(pimple).to.not.have.property('extra');
+            expect(pimple.has('mail')).to.be.false;
+            expect(Array.from(pimple.getTag('mailers').keys())).to.be.eql(['mailer']);
+            expect(pimple.getDefinition('db').labels.size).to.equal(0);
+            expect(pimple.getParameter('db.host')).to.equal('localhost');
+            expect(pimple.db, 'shared instance is restored').to.equal(db);
+        });
+    });
+
+    describe('#override', () => {
+        it('should replace service and reset its instantiated dependents', () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('mailer', {name: 'smtp'});
+            pimple.setShared('notifier', function () {
+                return {mailer: this.get('mailer')};
+            });
+            pimple.setShared('controller', notifier => ({notifier}));
+            pimple.getDefinition('controller').setArguments(ref('notifier'));
+            pimple.setShared('unrelated', {});
+
+            const unrelated = pimple.get('unrelated');
+            expect(pimple.get('controller').notifier.mailer.name).to.equal('smtp');
+
+            const fake = {name: 'fake'};
+            pimple.compile();
+            pimple.override('mailer', fake);
+
+            expect(pimple.get('mailer'), 'shared lifetime is kept').to.equal(fake);
+            expect(pimple.get('controller').notifier.mailer).to.equal(fake);
+            expect(pimple.get('unrelated')).to.equal(unrelated);
+        });
+
+        it('should be reverted by restore', () => {
+            const pimple = new Pimple({mailer: 'smtp'});
+            const snapshot = pimple.snapshot();
+
+            pimple.override('mailer', 'fake');
+            expect(pimple.get('mailer')).to.equal('fake');
+
+            pimple.restore(snapshot);
+            expect(pimple.get('mailer')).to.equal('smtp');
+        });
+    });
+
+    describe('#events', () => {
+        it('should emit resolution events with the chain', () => {
+            const pimple = new Pimple();
+            const events = [];
+
+            pimple.setShared('db', {});
+            pimple.set('repository', function () {
+                return {db: this.get('db')};
+            });
+            pimple.on('beforeResolve', ({id, chain}) => events.push(['before', id, chain]));
+            pimple.on('afterResolve', ({id, chain, cached, duration}) => {
+                expect(duration).to.be.a('number');
+                events.push(['after', id, chain, cached]);
+            });
+
+            const repository = pimple.get('repository');
+            pimple.get('db');
+
+            expect(events).to.be.eql([
+                ['before', 'repository', ['repository']],
+                ['before', 'db', ['repository', 'db']],
+                ['after', 'db', ['repository', 'db'], false],
+                ['after', 'repository', ['repository'], false],
+                ['before', 'db', ['db']],
+                ['after', 'db', ['db'], true]
+            ]);
+            expect(repository.db).to.equal(pimple.get('db'));
+        });
+
+        it('should emit error once for the failed service', async () => {
+            const pimple = new Pimple();
+            const errors = [];
+
+            pimple.set('db', () => {
+                throw new Error('connection refused');
+            });
+            pimple.set('repository', function () {
+                return {db: this.get('db')};
+            });
+            pimple.set('asyncRepository', async function () {
+                const db = await this.getAsync('db');
+                return {db, cache: await this.getAsync('cache')};
+            });
+            pimple.on('error', ({id, chain, error}) => errors.push([id, chain, error.message]));
+
+            expect(() => pimple.get('repository')).to.throw('connection refused');
+            await pimple.getAsync('asyncRepository').then(() => {
+                throw new Error('should fail');
+            }, error => expect(error.message).to.equal('connection refused'));
+
+            expect(errors).to.be.eql([
+                ['db', ['repository', 'db'], 'connection refused'],
+                ['db', ['asyncRepository', 'db'], 'connection refused']
+            ]);
+        });
+
+        it('should emit define and tag events and events of scopes', () => {
+            const pimple = new Pimple();
+            const events = [];
+
+            pimple.on('define', ({id, definition}) => events.push(['define', id, definition.lifetime]));
+            pimple.on('tag', ({id, tag}) => events.push(['tag', id, tag.name]));
+            pimple.on('afterResolve', ({id}) => events.push(['resolve', id]));
+
+            pimple.setShared('db', {}, tag('storage'));
+            pimple.createScope({request: 'request'}).get('request');
+
+            expect(events).to.be.eql([
+                ['tag', 'db', 'storage'],
+                ['define', 'db', 'shared'],
+                ['define', 'request', 'transient'],
+                ['resolve', 'request']
+            ]);
+        });
+
+        it('should stop emitting to removed listeners and not reserve emitter methods', () => {
+            const pimple = new Pimple({emit: 'emit', listeners: 'listeners'});
+            const events = [];
+            const listener = ({id}) => events.push(id);
+
+            pimple.on('afterResolve', listener).once('beforeResolve', ({id}) => events.push(`before ${id}`));
+            pimple.get('emit');
+            pimple.off('afterResolve', listener);
+            pimple.get('listeners');
+
+            expect(events).to.be.eql(['before emit', 'emit']);
+            expect(pimple._observers).to.equal(0);
+            expect(pimple.emit).to.equal('emit');
+            expect(pimple.listeners).to.equal('listeners');
+        });
+    });
+
+    describe('#profile', () => {
+        it('should report the slowest services and transient instantiations', () => {
+            const pimple = new Pimple();
+
+            pimple.setShared('slow', () => {
+                const start = Date.now();
+                while (Date.now() - start < 5) {
+                    // busy wait
+                }
+                return {};
+            });
+            pimple.set('fast', () => ({}));
+            pimple.get('fast');
+
+            const profiler = pimple.profile();
+            pimple.get('slow');
+            pimple.get('slow');
+            pimple.get('fast');
+            pimple.get('fast');
+            pimple.get('fast');
+            profiler.stop();
+            pimple.get('fast');
+
+            const [slowest] = profiler.slowest(1);
+            expect(slowest).to.include({id: 'slow', lifetime: 'shared', resolutions: 2, instantiations: 1});
+            expect(slowest.maxDuration).to.be.at.least(4);
+
+            expect(profiler.transients()).to.have.lengthOf(1);
+            expect(profiler.report().transients[0]).to.include({id: 'fast', resolutions: 3, instantiations: 3});
+        });
+    });
+
+    describe('#findTagged', () => {
+        const container = () => {
+            const pimple = new Pimple({a: 'A', b: 'B', c: 'C', d: 'D'});
+
+            pimple.tag('a', {name: 'handler', channel: 'http', priority: 10});
+            pimple.tag('b', {name: 'handler', channel: 'cli', priority: 20});
+            pimple.tag('c', {name: 'handler', channel: 'queue', priority: 10, group: 'b'});
+            pimple.tag('d', {name: 'handler', channel: 'http', group: 'a'});
+
+            return pimple;
+        };
+
+        it('should filter tags by attribute conditions', () => {
+            const pimple = container();
+
+            expect(_.map(pimple.findTagged('handler', {where: {channel: 'http'}}), 0)).to.be.eql(['a', 'd']);
+            expect(_.map(pimple.findTagged('handler', {where: {channel: {in: ['cli', 'queue']}}}), 0)).to.be.eql(['b', 'c']);
+            expect(_.map(pimple.findTagged('handler', {where: {priority: value => value > 10}}), 0)).to.be.eql(['b']);
+            expect(_.map(pimple.findTagged('handler', {where: (tag, serviceId) => serviceId !== 'a' && !tag.group}), 0))
+                .to.be.eql(['b']);
+        });
+
+        it('should sort by multiple fields with defaults keeping the tagging order of equal tags', () => {
+            const pimple = container();
+
+            expect(_.map(pimple.findTagged('handler', {sort: 'priority'}), 0)).to.be.eql(['d', 'a', 'c', 'b']);
+            expect(_.map(pimple.findTagged('handler', {sort: [{field: 'priority', order: 'desc'}, {field: 'group', default: 'z'}]}), 0))
+                .to.be.eql(['b', 'c', 'a', 'd']);
+            expect(_.map(pimple.findTagged('handler', {sort: {field: 'priority', order: 1, default: 15}}), 0))
+                .to.be.eql(['a', 'c', 'd', 'b']);
+            expect(() => pimple.findTagged('handler', {sort: {field: 'priority', order: 0}})).to.throw();
+        });
+
+        it('should resolve found services', async () => {
+            const pimple = container();
+            pimple.tag('a', {name: 'handler', channel: 'websocket'});
+
+            expect(pimple.getTagged('handler', {sort: 'priority'}), 'once per service').to.be.eql(['A', 'D', 'C', 'B']);
+            expect(await pimple.getTaggedAsync('handler', {where: {channel: 'http'}})).to.be.eql(['A', 'D']);
+        });
+
+        it('should instantiate services of locator on demand', () => {
+            const pimple = new Pimple();
+            const created = [];
+
+            _.forEach(['a', 'b', 'c'], serviceId => {
+                pimple.set(serviceId, () => {
+                    created.push(serviceId);
+                    return serviceId.toUpperCase();
+                }, tag({name: 'handler', enabled: serviceId !== 'b'}));
+            });
+
+            const locator = pimple.getTaggedLocator('handler', {where: {enabled: true}});
+
+            expect(created).to.be.empty;
+            expect(locator.keys()).to.be.eql(['a', 'c']);
+            expect(locator.has('b')).to.be.false;
+            expect(locator.get('c')).to.equal('C');
+            expect(created).to.be.eql(['c']);
+            expect(() => locator.get('b')).to.throw('Service "b" is not available in the locator.');
+            expect(Array.from(locator)).to.be.eql(['A', 'C']);
+        });
+
+        it('should report tagged services which are not defined', () => {
+            const pimple = container();
+            pimple.tag('missing', {name: 'handler', channel: 'http'});
+
+            expect(() => pimple.findTagged('handler')).to.throw('Services "missing" tagged by "handler" are not defined.');
+            expect(pimple.findTagged('handler', {where: {channel: 'cli'}})).to.have.lengthOf(1);
+        });
+    });
+
+    describe('#schema', () => {
+        const dbSchema = Joi.object().keys({
+            host: Joi.string().required(),
+            port: Joi.number().integer().default(5432)
+        });
+
+        it('should validate resolved value naming the service and failing path', () => {
+            const pimple = new Pimple();
+
+            pimple.setParameter('db.port', 'none');
+            pimple.set('config.db', {port: '%db.port%'}, schema(dbSchema), interpolate());
+
+            expect(() => pimple.get('config.db')).to.throw(
+                'Service "config.db" is invalid: "host" is required at "host"; "port" must be a number at "port".'
+            );
+        });
+
+        it('should coerce value with defaults when asked', async () => {
+            const pimple = new Pimple();
+
+            pimple.set('config.db', {host: 'localhost', port: '3306'}, schema(dbSchema));
+            pimple.set('config.coerced', {host: 'localhost'}, schema(dbSchema, {coerce: true}));
+            pimple.set('factory', async () => ({host: 'remote'}), schema(dbSchema, {coerce: true}));
+
+            expect(() => pimple.get('config.db'), 'no conversion without coercion').to.throw('"port" must be a number');
+            expect(pimple.get('config.coerced')).to.be.eql({host: 'localhost', port: 5432});
+            expect(await pimple.getAsync('factory')).to.be.eql({host: 'remote', port: 5432});
+        });
+
+        it('should validate values and parameters on compile', () => {
+            const pimple = new Pimple();
+            let created = false;
+
+            pimple.setParameter('workers', 0, Joi.number().min(1));
+            pimple.set('config.db', {host: ''}, schema(dbSchema));
+            pimple.set('client', () => {
+                created = true;
+                return {};
+            }, schema({host: Joi.string().required()}));
+
+            expect(() => pimple.compile()).to.throw([
+                'Container compilation failed:',
+                ' - parameter "workers" is invalid: "value" must be larger than or equal to 1',
+                ' - service "config.db" could not be validated: Service "config.db" is invalid: "host" is not allowed to be empty at "host".'
+            ].join('\n'));
+            expect(created, 'factories are validated on resolution').to.be.false;
+        });
+
+        it('should validate parameters on access and coerce them when asked', () => {
+            const pimple = new Pimple();
+
+            pimple.setParameter('workers', 0, Joi.number().min(1));
+            pimple.setParameter('db', {host: '%host%'}, dbSchema, {coerce: true});
+            pimple.setParameter('host', 'localhost');
+
+            expect(() => pimple.getParameter('workers')).to.throw(
+                'Parameter "workers" is invalid: "value" must be larger than or equal to 1.'
+            );
+            expect(pimple.getParameter('db')).to.be.eql({host: 'localhost', port: 5432});
+            expect(pimple.getParameter('db')).to.equal(pimple.getParameter('db'));
+            expect(pimple.createScope().getParameter('db'), 'schemas apply in scopes').to.be.eql({host: 'localhost', port: 5432});
+
+            pimple.setParameter('host', 'remote');
+            expect(pimple.getParameter('db'), 'revalidated on change').to.be.eql({host: 'remote', port: 5432});
+            pimple.setParameter('workers', '2');
+            expect(() => pimple.getParameter('workers'), 'schema is kept when the value changes').to.throw('must be a number');
+        });
+    });
+
+    describe('#factory', () => {
+        it('should append runtime arguments to the resolved ones', async () => {
+            const pimple = new Pimple();
+
+            pimple.set('http', {timeout: 100});
+            pimple.set('client', (http, tenant, region = 'eu') => ({http, tenant, region}));
+            pimple.getDefinition('client').setArguments(ref('http'));
+            pimple.set('Client', class {
+                constructor(container, tenant) {
+                    this.http = container.get('http');
+                    this.tenant = tenant;
+                }
+            });
+
+            expect(pimple.get('client', 'acme', 'us')).to.be.eql({http: {timeout: 100}, tenant: 'acme', region: 'us'});
+            expect(pimple.factory('client')('acme')).to.be.eql({http: {timeout: 100}, tenant: 'acme', region: 'eu'});
+            expect(pimple.factory('Client')('acme')).to.include({tenant: 'acme'});
+            expect(await pimple.getAsync('client', 'acme')).to.include({tenant: 'acme'});
+        });
+
+        it('should cache shared services per set of runtime arguments', async () => {
+            const pimple = new Pimple();
+            let created = 0;
+
+            pimple.setShared('client', (container, tenant) => ({tenant, index: created++}));
+            pimple.setShared('connection', (container, options) => ({options}), cacheKey(([options]) => options.dsn));
+
+            const acme = pimple.factory('client');
+            expect(acme('acme')).to.equal(pimple.get('client', 'acme'));
+            expect(pimple.get('client', 'other')).to.not.equal(acme('acme'));
+            expect(pimple.get('client')).to.include({tenant: undefined});
+            expect(await pimple.getAsync('client', 'async')).to.equal(pimple.get('client', 'async'));
+            expect(created).to.equal(4);
+
+            expect(pimple.get('connection', {dsn: 'db', retries: 1})).to.equal(pimple.get('connection', {dsn: 'db'}));
+        });
+
+        it('should cache instances per identity of arguments which are not plain data', () => {
+            const pimple = new Pimple();
+            const request = {url: '/'};
+            request.self = request;
+
+            pimple.setShared('client', (container, tenant) => ({tenant}));
+
+            const acme = new Map([['tenant', 'acme']]);
+            const other = new Map([['tenant', 'other']]);
+            const callback = () => 'acme';
+
+            expect(pimple.get('client', acme).tenant).to.equal(acme);
+            expect(pimple.get('client', other).tenant).to.equal(other);
+            expect(pimple.get('client', acme)).to.equal(pimple.get('client', acme));
+            expect(pimple.get('client', callback)).to.not.equal(pimple.get('client', () => 'acme'));
+            expect(pimple.get('client', request)).to.equal(pimple.get('client', request));
+            expect(pimple.get('client', {url: '/'})).to.equal(pimple.get('client', {url: '/'}));
+            expect(pimple.get('client', undefined)).to.not.equal(pimple.get('client', null));
+        });
+
+        it('should not keep variants of transient services', () => {
+            const pimple = new Pimple();
+
+            pimple.set('client', (container, tenant) => ({tenant}));
+            const profiler = pimple.profile();
+            const client = pimple.factory('client');
+            _.times(10, index => client(`tenant${index}`));
+
+            expect(pimple.getDefinition('client').variants.size).to.equal(0);
+            expect(profiler.transients()[0]).to.include({id: 'client', instantiations: 10});
+        });
+
+        it('should dispose and forget instances created with runtime arguments', async () => {
+            const disposed = [];
+
+            const define = container => {
+                container.setShared('client', (container, tenant) => ({tenant}), onDispose(({tenant}) => disposed.push(tenant)));
+                container.get('client', 'acme');
+                container.get('client', 'other');
+                return container;
+            };
+
+            await define(new Pimple()).dispose();
+            expect(disposed).to.be.eql(['other', 'acme']);
+
+            disposed.length = 0;
+            const pimple = define(new Pimple());
+            pimple.remove('client');
+            await pimple.dispose();
+            expect(disposed).to.be.empty;
+        });
+
+        it('should not accept runtime arguments for values', () => {
+            const pimple = new Pimple({config: {}});
+
+            expect(() => pimple.get('config', 'acme')).to.throw('Service "config" is not a factory or a class. It does not accept runtime arguments.');
+            expect(() => pimple.factory('config')).to.throw('Service "config" is not a factory or a class.');
+        });
+    });
+
+    describe('#private', () => {
+        it('should only inject private services into other services', async () => {
+            const pimple = new Pimple();
+
+            pimple.setPrivate('db', {name: 'db'});
+            pimple.set('cache', {}, visibility('private'));
+            pimple.set('repository', function (db) {
+                return {db, cache: this.get('cache')};
+            });
+            pimple.getDefinition('repository').setArguments(ref('db'));
+            pimple.set('asyncRepository', async function () {
+                const db = await this.getAsync('db');
+                return {db, cache: await this.getAsync('cache')};
+            });
+
+            expect(pimple.get('repository')).to.be.eql({db: {name: 'db'}, cache: {}});
+            expect(await pimple.getAsync('asyncRepository')).to.be.eql({db: {name: 'db'}, cache: {}});
+            expect(() => pimple.get('db')).to.throw('Service "db" is private. It can only be injected into other services.');
+            expect(() => pimple.factory('db')).to.throw('Service "db" is private.');
+            await pimple.getAsync('cache').then(() => {
+                throw new Error('should fail');
+            }, error => expect(error.message).to.equal('Service "cache" is private. It can only be injected into other services.'));
+
+            expect(pimple).to.not.have.property('db');
+            expect(pimple).to.not.have.property('cache');
+            expect(Object.keys(pimple)).to.include('repository');
+            expect(_.find(pimple.inspect(), {id: 'db'}).visibility).to.equal('private');
+        });
+
+        it('should not expose private services to callbacks scheduled by factories', async () => {
+            const pimple = new Pimple();
+            let leaked;
+
+            const later = container => new Promise((resolve, reject) => setTimeout(() => {
+                try {
+                    resolve(container.get('secret'));
+                } catch (e) {
+                    reject(e);
+                }
+            }));
+            const expectPrivate = promise => promise.then(() => {
+                throw new Error('should fail');
+            }, error => expect(error.message).to.equal('Service "secret" is private. It can only be injected into other services.'));
+
+            pimple.setPrivate('secret', 's3cr3t');
+            pimple.set('leaky', function () {
+                leaked = later(this);
+                return {secret: this.get('secret')};
+            });
+            pimple.set('asyncLeaky', async function () {
+                await Promise.resolve();
+                leaked = later(this);
+                return {secret: await this.getAsync('secret')};
+            });
+
+            expect(pimple.get('leaky')).to.be.eql({secret: 's3cr3t'});
+            await expectPrivate(leaked);
+            expect(await pimple.getAsync('asyncLeaky')).to.be.eql({secret: 's3cr3t'});
+            await expectPrivate(leaked);
+        });
+
+        it('should reject unknown visibility', () => {
+            expect(() => new Pimple().set('db', {}, visibility('internal')))
+                .to.throw('Visibility of service "db" can be "public" or "private", "internal" given.');
+        });
+    });
+
+    describe('#locator', () => {
+        it('should restrict the view to the listed services', () => {
+            const pimple = new Pimple({logger: 'logger', db: 'db', mailer: 'mailer'});
+            const locator = pimple.locator(['logger', 'mailer']);
+
+            expect(locator.keys()).to.be.eql(['logger', 'mailer']);
+            expect(locator.get('logger')).to.equal('logger');
+            expect(() => locator.get('db')).to.throw('Service "db" is not available in the locator.');
+            expect(locator).to.not.have.property('db');
+            expect(_.values(locator)).to.not.include(pimple);
+            expect(Object.isFrozen(locator)).to.be.true;
+        });
+
+        it('should restrict the view to tagged services', () => {
+            const pimple = new Pimple({a: 'A', b: 'B', c: 'C'});
+            pimple.tag('a', {name: 'plugin', priority: 2});
+            pimple.tag('c', {name: 'plugin', priority: 1});
+
+            expect(Array.from(pimple.locator({tag: 'plugin', sort: 'priority'}))).to.be.eql(['C', 'A']);
+        });
+
+        it('should not expose private or undefined services', () => {
+            const pimple = new Pimple();
+            pimple.setPrivate('db', {});
+
+            expect(() => pimple.locator(['db'])).to.throw('Service "db" is private. It can not be exposed by a locator.');
+            expect(() => pimple.locator(['unknown'])).to.throw('Service with name unknown is not defined in container.');
+        });
+    });
+
+    describe('#when', () => {
+        it('should pick the definition matching parameters falling back to the unconditional one', () => {
+            const pimple = new Pimple();
+
+            pimple.set('mailer', 'smtp');
+            pimple.set('mailer', 'memory', when({env: ['test', 'dev']}));
+            pimple.set('mailer', 'sendmail', when({env: 'prod'}), when(params => params.features.sendmail));
+            pimple.setParameter('features.sendmail', false);
+
+            pimple.setParameter('env', 'test');
+            expect(pimple.get('mailer')).to.equal('memory');
+            expect(pimple.mailer).to.equal('memory');
+
+            pimple.setParameter('env', 'prod');
+            expect(pimple.get('mailer')).to.equal('smtp');
+
+            pimple.setParameter('features.sendmail', true);
+            expect(pimple.get('mailer')).to.equal('sendmail');
+        });
+
+        it('should fail on ambiguous matches', () => {
+            const pimple = new Pimple();
+
+            pimple.setParameter('env', 'test');
+            pimple.set('mailer', 'memory', when({env: 'test'}));
+            pimple.set('mailer', 'null', when(function isTest(params) {
+                return params.env === 'test';
+            }));
+
+            expect(() => pimple.get('mailer'))
+                .to.throw('Service "mailer" has ambiguous conditional definitions: env="test"; isTest.');
+            expect(() => pimple.compile())
+                .to.throw('Container compilation failed:\n - service "mailer" has ambiguous conditional definitions: env="test"; isTest');
+        });
+
+        it('should apply conditions of providers and choose branches on compile', () => {
+            const pimple = new Pimple();
+            const provider = env => container => {
+                container.set('mailer', `${env} mailer`);
+                container.setShared('transport', `${env} transport`);
+            };
+
+            pimple.register(provider('dev'), when({env: 'dev'}));
+            pimple.register(provider('prod'), {env: 'prod'});
+            pimple.setParameter('env', 'prod');
+
+            expect(pimple.has('mailer')).to.be.true;
+            pimple.compile();
+
+            expect(pimple.get('transport')).to.equal('prod transport');
+            expect(pimple.getDefinition('transport').shared).to.be.true;
+            expect(_.find(pimple.inspect(), {id: 'mailer'}).condition).to.equal('env="prod"');
+        });
+
+        it('should tag services by the chosen branches only', () => {
+            const pimple = new Pimple();
+
+            pimple.register(container => container.set('fakeMailer', 'fake', tag('mailer')), {env: 'test'});
+            pimple.set('smtpMailer', 'smtp', tag('mailer'));
+            pimple.set('mailer', 'prod', tag('transport'));
+            pimple.set('mailer', 'test', when({env: 'test'}), tag('debug'));
+            pimple.set('mailer', 'dev', tag('debug'), when({env: 'dev'}));
+            pimple.setParameter('env', 'prod');
+
+            expect(pimple.getTagged('mailer')).to.be.eql(['smtp']);
+            expect(pimple.getTagged('debug')).to.be.eql([]);
+            expect(pimple.getTagged('transport')).to.be.eql(['prod']);
+
+            pimple.setParameter('env', 'dev');
+            expect(pimple.getTagged('debug')).to.be.eql(['dev']);
+            expect(pimple.getTagged('transport'), 'tags of the service id apply to any branch').to.be.eql(['dev']);
+
+            pimple.setParameter('env', 'prod');
+            pimple.compile();
+            expect(pimple.getTagged('mailer')).to.be.eql(['smtp']);
+        });
+
+        it('should keep tags of the branch chosen on compile', () => {
+            const pimple = new Pimple();
+
+            pimple.register(container => container.set('fakeMailer', 'fake', tag('mailer')), {env: 'test'});
+            pimple.setParameter('env', 'test');
+            pimple.compile();
+
+            expect(pimple.getTagged('mailer')).to.be.eql(['fake']);
+        });
+
+        it('should treat services with no matching branch as undefined', () => {
+            const pimple = new Pimple();
+
+            pimple.set('debugger', {}, when({debug: true}));
+
+            expect(pimple.has('debugger')).to.be.false;
+            expect(() => pimple.get('debugger')).to.throw('Service with name debugger is not defined in container.');
+        });
+    });
+
+    describe('#intercept', () => {
+        class Repository {
+            find(id) {
+                return {id};
+            }
+
+            async findAsync(id) {
+                return this.find(id);
+            }
+        }
+
+        it('should wrap methods of tagged services in priority order', async () => {
+            const pimple = new Pimple();
+            const calls = [];
+
+            pimple.setShared('users', Repository, tag('repository'));
+            pimple.set('mailer', {send: () => 'sent'});
+            pimple.intercept({tag: 'repository'}, ({method, args, proceed}) => {
+                calls.push(`inner ${method}(${args})`);
+                return proceed();
+            });
+            pimple.intercept({tag: 'repository'}, ({serviceId, method, proceed}) => {
+                calls.push(`outer ${serviceId}.${method}`);
+                return proceed(2);
+            }, 10);
+
+            const users = pimple.get('users');
+            expect(users).to.be.instanceOf(Repository);
+            expect(users.find(1)).to.be.eql({id: 2});
+            expect(await users.findAsync(3)).to.be.eql({id: 2});
+            expect(users.find, 'method identity is kept').to.equal(users.find);
+            expect(pimple.get('mailer').send()).to.equal('sent');
+
+            expect(calls).to.be.eql(['outer users.find', 'inner find(2)', 'outer users.findAsync', 'inner findAsync(2)']);
+        });
+
+        it('should await async methods and match services by id, label and method names', async () => {
+            const pimple = new Pimple();
+            const timings = [];
+
+            pimple.defineLabel('timed', _.noop);
+            pimple.set('users', Repository, label('timed'));
+            pimple.set('posts', Repository);
+            pimple.intercept({label: 'timed', methods: /Async$/}, async ({method, proceed}) => {
+                const result = await proceed();
+                timings.push(method);
+                return Object.assign({timed: true}, result);
+            });
+            pimple.intercept({id: 'posts', methods: ['find']}, () => null);
+
+            expect(await pimple.get('users').findAsync(1)).to.be.eql({timed: true, id: 1});
+            expect(pimple.get('users').find(1)).to.be.eql({id: 1});
+            expect(pimple.get('posts').find(1)).to.be.null;
+            expect(timings).to.be.eql(['findAsync']);
+        });
+
+        it('should match decorated services and aliases by their ids and tags', () => {
+            const pimple = new Pimple();
+            const calls = [];
+
+            pimple.setShared('users', Repository, tag('repository'));
+            pimple.decorate('users', 'cachedUsers', inner => ({find: id => inner.find(id)}));
+            pimple.set('posts', Repository);
+            pimple.alias('articles', 'posts');
+            pimple.intercept({tag: 'repository'}, ({serviceId, proceed}) => calls.push(serviceId) && proceed());
+            pimple.intercept({id: 'articles'}, () => 'intercepted');
+
+            expect(pimple.get('users').find(1)).to.be.eql({id: 1});
+            expect(calls, 'the outer service is intercepted once').to.be.eql(['cachedUsers']);
+            expect(pimple.get('posts').find(1)).to.equal('intercepted');
+        });
+
+        it('should call methods which are not intercepted on the service itself', () => {
+            class Account {
+                #balance = 10;
+
+                get() {
+                    return this.#balance;
+                }
+
+                balance() {
+                    return this.#balance;
+                }
+            }
+
+            const pimple = new Pimple();
+
+            pimple.set('account', Account, tag('intercepted'));
+            pimple.set('cache', () => new Map([['key', 'value']]), tag('intercepted'));
+            pimple.intercept({tag: 'intercepted', methods: ['get']}, ({proceed}) => proceed());
+
+            expect(pimple.get('account').balance()).to.equal(10);
+            expect(pimple.get('account').get()).to.equal(10);
+            expect(pimple.get('cache').has('key')).to.be.true;
+            expect(pimple.get('cache').get('key')).to.equal('value');
+        });
+
+        it('should be disabled per container', () => {
+            const pimple = new Pimple();
+
+            pimple.set('users', Repository);
+            pimple.intercept({id: 'users'}, () => 'intercepted');
+
+            expect(pimple.createScope().enableInterceptors(false).get('users').find(1)).to.be.eql({id: 1});
+            expect(pimple.get('users').find(1)).to.equal('intercepted');
+        });
+
+        it('should validate targets', () => {
+            expect(() => new Pimple().intercept({methods: ['find']}, _.noop)).to.throw();
+            expect(() => new Pimple().intercept({id: 'users'})).to.throw('Interceptor should be a function.');
+        });
+    });
+
+    describe('#label ordering', () => {
+        it('should run labels by constraints and priorities', () => {
+            const pimple = new Pimple();
+            const push = name => arr => {
+                arr.push(name);
+            };
+
+            pimple.defineLabel('metrics', push('metrics'), {after: 'connect'});
+            pimple.defineLabel('connect', push('connect'), {after: ['configure']});
+            pimple.defineLabel('configure', push('configure'));
+            pimple.defineLabel('log', push('log'), {priority: 10});
+            pimple.defineLabel('warmup', push('warmup'), {before: 'metrics', priority: -1});
+            pimple.set('calls', [], label('metrics'), label('connect'), label('log'), label('warmup'), label('configure'));
+
+            expect(pimple.get('calls')).to.be.eql(['log', 'configure', 'connect', 'warmup', 'metrics']);
+        });
+
+        it('should fail on circular constraints', () => {
+            const pimple = new Pimple();
+
+            pimple.defineLabel('a', _.noop, {after: 'b'});
+            pimple.defineLabel('b', _.noop, {after: 'a'});
+            pimple.set('service', {}, label('a'), label('b'));
+
+            expect(() => pimple.get('service')).to.throw('Labels "a", "b" of service "service" have circular before/after constraints.');
+            expect(() => pimple.compile()).to.throw('labels "a", "b" of service "service" have circular before/after constraints');
+        });
+
+        it('should replace instance by the value returned from replacing labels', async () => {
+            const pimple = new Pimple();
+
+            pimple.set('config', {debug: true}, label('freeze', Object.freeze, {replace: true}));
+            pimple.set('client', () => ({}), label('wrap', async client => ({client}), {replace: true}));
+            pimple.set('items', [], label('push', items => items.push(1)));
+
+            expect(Object.isFrozen(pimple.get('config'))).to.be.true;
+            expect(await pimple.getAsync('client')).to.be.eql({client: {}});
+            expect(pimple.get('items'), 'labels do not replace by default').to.be.eql([1]);
+        });
+
+        it('should only await async labels in getAsync', () => {
+            const pimple = new Pimple();
+
+            pimple.set('client', {}, label('connect', async () => {}));
+
+            expect(() => pimple.get('client')).to.throw('Label "connect" of service "client" has an async callback. Use getAsync() to resolve it.');
+        });
+
+        it('should wrap errors of labels and not cache failed singleton', async () => {
+            const pimple = new Pimple();
+            let failures = 1;
+
+            pimple.defineLabel('connect', () => {
+                if (failures-- > 0) {
+                    throw new Error('connection refused');
+                }
+            });
+            pimple.setShared('db', () => ({}), label('connect'));
+            pimple.setShared('cache', async () => ({}), label('warmup', async () => {
+                throw new Error('cache is cold');
+            }));
+
+            try {
+                pimple.get('db');
+                throw new Error('should fail');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LabelError);
+                expect(e).to.include({serviceId: 'db', label: 'connect'});
+                expect(e.message).to.equal('Label "connect" failed for service "db": connection refused');
+            }
+
+            expect(pimple.getDefinition('db').instantiated).to.be.false;
+            expect(pimple.get('db')).to.equal(pimple.get('db'));
+
+            await pimple.getAsync('cache').then(() => {
+                throw new Error('should fail');
+            }, error => {
+                expect(error).to.be.instanceOf(LabelError);
+                expect(error.message).to.equal('Label "warmup" failed for service "cache": cache is cold');
+            });
+            expect(pimple.getDefinition('cache').instantiated).to.be.false;
+        });
+    });
+
+    describe('#protect', () => {
+        it('should return protected function itself instead of calling it', () => {
+            const pimple = new Pimple();
+            const comparator = (a, b) => a - b;
+
+            pimple.set('comparator', pimple.protect(comparator));
+            pimple.setProtected('handler', _.noop);
+
+            expect(pimple.get('comparator')).to.equal(comparator);
+            expect(pimple.get('handler')).to.equal(_.noop);
+            expect(pimple.getDefinition('handler').protected).to.be.true;
+        });
+
+        it('should be available for constructor definitions', () => {
+            const pimple = new Pimple({
+                comparator: protect((a, b) => a - b)
+            });
+
+            expect([3, 1, 2].sort(pimple.comparator)).to.be.eql([1, 2, 3]);
+            expect(() => protect('not a function')).to.throw('Only functions');
+        });
+
+        it('should interoperate with tags and labels', () => {
+            const pimple = new Pimple();
+            const handler = () => 'handled';
+
+            pimple.setProtected('handler', handler, tag('handlers'), label('mark', fn => {
+                fn.marked = true;
+            }));
+
+            pimple.overTags('handlers', serviceId => {
+                expect(pimple.get(serviceId)()).to.equal('handled');
+            });
+            expect(handler.marked).to.be.true;
+        });
+    });
+
+    describe('#raw', () => {
+        it('should return definition value without resolving it', () => {
+            const factory = () => 'resolved';
+            const data = {data: 'raw'};
+            const pimple = new Pimple({
+                factory,
+                data,
+                handler: protect(_.noop)
+            });
+
+            expect(pimple.raw('factory')).to.equal(factory);
+            expect(pimple.raw('data')).to.equal(data);
+            expect(pimple.raw('handler')).to.equal(_.noop);
+            expect(() => pimple.raw('unknown')).to.throw('not defined');
+        });
+    });
 });
@@ -0,0 +1,127 @@
+const {describe} = require('mocha');
+const {expect} = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {Pimple, dump, checkDump, ref, interpolate} = require('../index.js');
+const Logger = require('./fixtures/Logger');
+const {collectLoggers} = require('./fixtures/factories');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+describe('dumper', function () {
+    const container = () => {
+        const pimple = new Pimple();
+
+        pimple.load(path.join(fixtures, 'services.json'));
+        pimple.defineLabel('configured', logger => {
+            logger.configured = true;
+        });
+        pimple.set('handler', {level: '%log.level%', escaped: '%%'}, interpolate());
+        pimple.set('dsn', 'postgres://user:p%40ss@db/app');
+        pimple.set('closure', () => ({}));
+        pimple.setPrivate('secret', 's3cr3t');
+        pimple.set('vault', options => options, di => di.setArguments({secret: ref('secret')}));
+        pimple.getDefinition('vault').setOrigin(path.join(fixtures, 'factories.js'), 'createTransport');
+        pimple.set('loggers', collectLoggers);
+        pimple.getDefinition('loggers').setOrigin(path.join(fixtures, 'factories.js'), 'collectLoggers');
+        pimple.alias('log', 'logger');
+
+        return pimple.compile();
+    };
+
+    const load = code => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pimple-'));
+        const file = path.join(directory, 'container.js');
+
+        fs.writeFileSync(file, code);
+        try {
+            return require(file);
+        } finally {
+            fs.unlinkSync(file);
+            fs.rmdirSync(directory);
+        }
+    };
+
+    describe('#dump', () => {
+        it('should generate module behaving as the container', () => {
+            const warnings = [];
+            const create = load(dump(container(), {warn: warning => warnings.push(warning)}));
+            const compiled = create({
+                configured: function (logger) {
+                    logger.configured = this.id === 'logger';
+                }
+            });
+            const logger = compiled.get('logger');
+
+            expect(logger).to.be.instanceOf(Logger);
+            expect(logger).to.equal(compiled.get('log'));
+            expect(logger.configured).to.be.true;
+            expect(logger.level).to.equal('debug');
+            expect(logger.transport).to.be.eql({type: 'transport', target: 'stdout', email: '@admin'});
+            expect(logger.handlers).to.be.eql([logger.transport]);
+            expect(logger.name).to.equal('stdout');
+            expect(compiled.get('handler')).to.be.eql({level: 'debug', escaped: '%'});
+            expect(compiled.get('dsn')).to.equal('postgres://user:p%40ss@db/app');
+            expect(compiled.get('handler'), 'not shared').to.not.equal(compiled.get('handler'));
+            expect(compiled.get('vault')).to.be.eql({type: 'transport', secret: 's3cr3t'});
+            expect(() => compiled.get('secret')).to.throw('Service "secret" is private.');
+            expect(compiled.getParameter('log.level')).to.equal('debug');
+            expect(() => compiled.getParameter('log.missing')).to.throw('Parameter "log.missing" is not defined.');
+            expect(Array.from(compiled.getTag('debug'))).to.be.eql([['logger', [{name: 'debug', priority: 10}]]]);
+
+            expect(warnings).to.be.eql(['Service "closure" can not be dumped: factory is a closure with no origin module.']);
+            expect(() => compiled.get('closure')).to.throw('Service "closure" could not be dumped');
+            expect(() => compiled.get('unknown')).to.throw('Service with name unknown is not defined in container.');
+        });
+
+        it('should pass the read-only container to factories', async () => {
+            const pimple = container();
+            const compiled = load(dump(pimple, {warn: () => {}}))({configured: () => {}});
+            const loggers = compiled.get('loggers');
+            const expected = pimple.get('loggers');
+
+            expect(loggers.level).to.equal(expected.level);
+            expect(loggers.debug).to.be.eql([compiled.get('logger')]);
+            expect(loggers.ids).to.be.eql(expected.ids);
+            expect(await loggers.async).to.be.eql([compiled.get('logger')]);
+            expect(await compiled.getAsync('log')).to.equal(compiled.get('logger'));
+        });
+
+        it('should report parameters which can not be dumped', () => {
+            const pimple = new Pimple();
+            const warnings = [];
+
+            pimple.setParameter('home', '%env(PIMPLE_TEST_UNDEFINED)%');
+            pimple.setParameter('name', 'app');
+            const compiled = load(dump(pimple.compile(), {warn: warning => warnings.push(warning)}))();
+
+            expect(warnings).to.be.eql([
+                'Parameter "home" can not be dumped: Environment variable "PIMPLE_TEST_UNDEFINED" is not defined (referenced by parameter "home").'
+            ]);
+            expect(compiled.getParameter('name')).to.equal('app');
+            expect(compiled.hasParameter('home')).to.be.false;
+        });
+
+        it('should make origin paths relative to the base path', () => {
+            const code = dump(container(), {basePath: path.join(fixtures, 'nested'), warn: () => {}});
+
+            expect(code).to.include('require("../Logger.js")');
+            expect(code).to.include('require("../factories.js")["createTransport"]');
+        });
+
+        it('should require compiled container', () => {
+            expect(() => dump(new Pimple())).to.throw('Container should be compiled before it is dumped.');
+        });
+    });
+
+    describe('#checkDump', () => {
+        it('should list services which can not be dumped', () => {
+            const pimple = container();
+
+            expect(checkDump(pimple)).to.be.eql([
+                'Service "closure" can not be dumped: factory is a closure with no origin module.'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,13 @@
+class Logger {
+    constructor(level, transport) {
+        this.level = level;
+        this.transport = transport;
+        this.handlers = [];
+    }
+
+    addHandler(handler) {
+        this.handlers.push(handler);
+    }
+}
+
+module.exports = Logger;
@@ -0,0 +1,10 @@
+exports.createTransport = (options) => Object.assign({type: 'transport'}, options);
+
+exports.collectLoggers = function () {
+    return {
+        level: this.getParameter('log.level'),
+        debug: this.getTagged('debug', {where: {priority: {in: [10, 20]}}, sort: {field: 'priority', order: 'desc'}}),
+        ids: this.findTagged('loggers').map(([serviceId]) => serviceId),
+        async: this.getTaggedAsync('loggers')
+    };
+};
@@ -0,0 +1,9 @@
+module.exports = {
+    imports: ['./services.json'],
+    parameters: {
+        log: {
+            level: 'debug',
+            target: 'stdout'
+        }
+    }
+};
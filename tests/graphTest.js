@@ -0,0 +1,42 @@
+const {describe} = require('mocha');
+const {expect} = require('chai');
+const {Pimple, toDot, toJson, ref} = require('../index.js');
+
+describe('graph', function () {
+    const container = () => {
+        const pimple = new Pimple();
+
+        pimple.setShared('db', {});
+        pimple.set('repository', function () {
+            return {db: this.get('db')};
+        }, di => di.tags('repositories'));
+        pimple.set('controller', repository => ({repository}));
+        pimple.getDefinition('controller').setArguments(ref('repository'));
+        pimple.get('repository');
+
+        return pimple;
+    };
+
+    describe('#toDot', () => {
+        it('should render services and dependencies as digraph', () => {
+            expect(toDot(container().inspect(), 'app')).to.equal([
+                'digraph "app" {',
+                '    "db" [label="db\\nshared", shape=box];',
+                '    "repository" [label="repository\\ntransient\\n#repositories", shape=ellipse];',
+                '    "controller" [label="controller\\ntransient", shape=ellipse];',
+                '    "repository" -> "db";',
+                '    "controller" -> "repository" [style=dashed];',
+                '}'
+            ].join('\n'));
+        });
+    });
+
+    describe('#toJson', () => {
+        it('should render services as JSON', () => {
+            const {services} = JSON.parse(toJson(container().inspect()));
+
+            expect(services.map(service => service.id)).to.be.eql(['db', 'repository', 'controller']);
+            expect(services[0].dependents).to.be.eql(['repository']);
+        });
+    });
+});
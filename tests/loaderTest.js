@@ -0,0 +1,70 @@
+const {describe} = require('mocha');
+const {expect} = require('chai');
+const path = require('path');
+const {Pimple} = require('../index.js');
+const Logger = require('./fixtures/Logger');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+describe('Pimple', function () {
+    describe('#load', () => {
+        it('should register services and parameters from a file with imports', () => {
+            const pimple = new Pimple();
+            pimple.defineLabel('configured', logger => {
+                logger.configured = true;
+            });
+
+            pimple.load(path.join(fixtures, 'services.json'));
+
+            const logger = pimple.get('logger');
+
+            expect(logger).to.be.instanceOf(Logger);
+            expect(logger).to.equal(pimple.get('logger'));
+            expect(logger.level).to.equal('debug');
+            expect(logger.configured).to.be.true;
+            expect(logger.transport).to.be.eql({type: 'transport', target: 'stdout', email: '@admin'});
+            expect(logger.handlers).to.be.eql([logger.transport]);
+            expect(logger.name).to.equal('stdout');
+            expect(pimple.get('settings')).to.be.eql({retries: 3});
+            expect(Array.from(pimple.getTag('debug').values())).to.be.eql([[{name: 'debug', priority: 10}]]);
+            expect(Array.from(pimple.getTag('settings').keys())).to.be.eql(['settings']);
+        });
+
+        it('should load plain configuration objects against base path', () => {
+            const pimple = new Pimple();
+
+            pimple.load({
+                parameters: {level: 'info'},
+                services: {
+                    logger: {class: './Logger', arguments: ['%level%']},
+                    secret: {value: 's3cr3t', visibility: 'private'},
+                    mailer: {value: 'memory', when: {level: 'info'}},
+                    debugger: {value: {}, when: {level: 'debug'}, tags: 'tools'}
+                }
+            }, fixtures);
+
+            expect(pimple.get('logger').level).to.equal('info');
+            expect(pimple.get('logger'), 'not shared by default').to.not.equal(pimple.get('logger'));
+            expect(() => pimple.get('secret')).to.throw('Service "secret" is private.');
+            expect(pimple.get('mailer')).to.equal('memory');
+            expect(pimple.has('debugger')).to.be.false;
+            expect(pimple.findTagged('tools'), 'tags of branches not chosen are ignored').to.be.eql([]);
+        });
+
+        it('should point at the file and service key on invalid configuration', () => {
+            const pimple = new Pimple();
+            const file = path.join(fixtures, 'invalid.json');
+
+            expect(() => pimple.load(file))
+                .to.throw(`Invalid container configuration in ${file} for service "broken": "shared" must be a boolean`);
+            expect(() => pimple.load({services: {logger: {class: './Logger', factory: './factories'}}}))
+                .to.throw('for service "logger"');
+            expect(() => pimple.load({services: {logger: {class: './Missing'}}}, fixtures))
+                .to.throw('for service "logger": Cannot find module');
+            expect(() => pimple.load({services: {transport: {factory: './factories#missing'}}}, fixtures))
+                .to.throw('for service "transport": Module "./factories" has no export "missing"');
+            expect(() => pimple.load({imports: ['./unknown.json']}, fixtures))
+                .to.throw(`Invalid container configuration in ${path.join(fixtures, 'unknown.json')}`);
+        });
+    });
+});